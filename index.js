@@ -1,24 +1,69 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const { Client, LocalAuth, RemoteAuth, MessageMedia, Location, Poll } = require('whatsapp-web.js');
 const QRCode = require('qrcode');
+const promClient = require('prom-client');
+const Ajv2020 = require('ajv/dist/2020');
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js');
+const { buildOpenApiSpec } = require('./openapi');
+
+// Structured logging: one JSON object per line with level, event and connection_id, so log
+// pipelines can filter per tenant. LOG_FORMAT=text keeps the plain `[connection_id] message` lines.
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LOG_LEVELS.info;
+
+function writeLog(level, event, connectionId, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  if (LOG_FORMAT === 'text') {
+    const extra = Object.keys(fields).length ? [fields] : [];
+    const write = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+    write(connectionId ? `[${connectionId}] ${msg}` : msg, ...extra);
+    return;
+  }
+  const entry = { time: new Date().toISOString(), level, event, connection_id: connectionId || null, msg, ...fields };
+  const stream = level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// log.info(event, connection_id, message, fields) - `event` is a dotted type such as `session.ready`
+const log = Object.fromEntries(Object.keys(LOG_LEVELS).map(level => [
+  level,
+  (event, connectionId, msg, fields) => writeLog(level, event, connectionId, msg, fields)
+]));
+
+// Fields for a caught error: its message, plus the stack for the unexpected ones
+function errorFields(err) {
+  return { error: err?.message || String(err), stack: err?.stack };
+}
 
 // Log library version at boot to confirm the deployed build uses the patched whatsapp-web.js
 try {
   // For git dependencies, version may still be a semver string, but this confirms what got installed.
   // eslint-disable-next-line import/no-dynamic-require, global-require
   const wwebPkg = require('whatsapp-web.js/package.json');
-  console.log(`[Boot] whatsapp-web.js version: ${wwebPkg.version}`);
+  log.info('boot.version', null, `whatsapp-web.js version: ${wwebPkg.version}`, { version: wwebPkg.version });
 } catch (e) {
-  console.log('[Boot] Could not read whatsapp-web.js package.json');
+  log.warn('boot.version', null, 'Could not read whatsapp-web.js package.json');
 }
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Media messages are sent as base64 in the JSON body, so allow bigger payloads than the 100kb default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
 
-// Store active sessions: { [connection_id]: { client, qr, status, phone, webhookUrl } }
+// Set on SIGTERM / SIGINT (see shutdown): new requests are refused while in-flight sends finish
+let shuttingDown = false;
+app.use((req, res, next) => {
+  if (shuttingDown) return sendError(res, 'SHUTTING_DOWN', 'Server is shutting down, retry shortly');
+  next();
+});
+
+// Store active sessions: { [connection_id]: { client, qr, status, phone, webhookUrl, webhookEvents, pairingPhone, pairingCode } }
 const sessions = {};
 
 // Helper pentru delay-uri umane (simulează comportament real, reduce riscul de ban)
@@ -27,34 +72,385 @@ function humanDelay(min = 500, max = 1500) {
   return new Promise(resolve => setTimeout(resolve, delay));
 }
 
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Epoch ms -> ISO string for API responses; unset times stay null
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
 // Helper to get or create a session
 function getSession(connection_id) {
   if (!sessions[connection_id]) {
+    // Webhook and phone survive restarts in the persisted session metadata (see saveSessionMeta)
+    const meta = getConnectionConfig(connection_id) || {};
     sessions[connection_id] = {
       client: null,
       qr: null,
       status: 'disconnected',
-      phone: null,
-      webhookUrl: null,
-      lastActivity: Date.now()
+      phone: meta.phone || null,
+      webhookUrl: meta.webhookUrl || null,
+      webhookEvents: meta.webhookEvents || null, // null = all WEBHOOK_EVENTS
+      pairingPhone: null, // set when linking with a pairing code instead of the QR
+      pairingCode: null,
+      pairingCodeAt: null,
+      reconnect: null, // { attempt, reason, timer, readyTimer } while the supervisor restores the session
+      lastActivity: Date.now(),
+      lastUsedAt: Date.now(), // last API call / message, drives idle hibernation
+      connectedAt: null
     };
   }
   sessions[connection_id].lastActivity = Date.now();
   return sessions[connection_id];
 }
 
+// Persist what restoreSessions needs after a restart / redeploy next to the connection settings.
+// `disconnected: true` marks a session stopped on purpose (disconnect, export, admin destroy):
+// its saved login stays on disk but it is not brought back automatically.
+function saveSessionMeta(connection_id, patch = {}) {
+  const session = getSession(connection_id);
+  updateConnectionConfig(connection_id, {
+    webhookUrl: session.webhookUrl,
+    webhookEvents: session.webhookEvents,
+    phone: session.phone,
+    ...patch
+  });
+}
+
+// Prometheus metrics served on GET /metrics
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry, prefix: 'wa_bridge_process_' });
+
+const SESSION_STATUSES = ['connected', 'connecting', 'qr_pending', 'pairing_pending', 'disconnected', 'hibernated'];
+
+const metrics = {
+  sessions: new promClient.Gauge({
+    name: 'wa_bridge_sessions',
+    help: 'In-memory sessions by status',
+    labelNames: ['status'],
+    registers: [metricsRegistry],
+    collect() {
+      this.reset();
+      for (const status of SESSION_STATUSES) this.set({ status }, 0);
+      for (const session of Object.values(sessions)) this.inc({ status: session.status });
+    }
+  }),
+  sessionUp: new promClient.Gauge({
+    name: 'wa_bridge_session_connected',
+    help: '1 while the connection is connected, 0 otherwise',
+    labelNames: ['connection_id'],
+    registers: [metricsRegistry],
+    collect() {
+      this.reset();
+      for (const [id, session] of Object.entries(sessions)) {
+        this.set({ connection_id: id }, session.status === 'connected' && session.client ? 1 : 0);
+      }
+    }
+  }),
+  chromiumMemory: new promClient.Gauge({
+    name: 'wa_bridge_chromium_memory_bytes',
+    help: 'Resident memory of the Chromium process tree of each session',
+    labelNames: ['connection_id'],
+    registers: [metricsRegistry],
+    collect() {
+      this.reset();
+      for (const [id, session] of Object.entries(sessions)) {
+        const bytes = chromiumMemoryBytes(session.client);
+        if (bytes !== null) this.set({ connection_id: id }, bytes);
+      }
+    }
+  }),
+  qrGenerated: new promClient.Counter({
+    name: 'wa_bridge_qr_generated_total',
+    help: 'QR codes generated',
+    labelNames: ['connection_id'],
+    registers: [metricsRegistry]
+  }),
+  messages: new promClient.Counter({
+    name: 'wa_bridge_messages_total',
+    help: 'Outgoing messages by result (sent, failed, timeout)',
+    labelNames: ['connection_id', 'result'],
+    registers: [metricsRegistry]
+  }),
+  webhookDeliveries: new promClient.Counter({
+    name: 'wa_bridge_webhook_deliveries_total',
+    help: 'Webhook and status callback deliveries by final result (success, failure)',
+    labelNames: ['kind', 'result'],
+    registers: [metricsRegistry]
+  }),
+  webhookLatency: new promClient.Histogram({
+    name: 'wa_bridge_webhook_request_duration_seconds',
+    help: 'Duration of each webhook / status callback POST attempt',
+    labelNames: ['kind'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [metricsRegistry]
+  }),
+  keepAliveFailures: new promClient.Counter({
+    name: 'wa_bridge_keepalive_failures_total',
+    help: 'Internal keep-alive checks that found the session down',
+    labelNames: ['connection_id'],
+    registers: [metricsRegistry]
+  })
+};
+
+// RSS of the browser process and its children, read from /proc (Linux only). null when unknown.
+function chromiumMemoryBytes(client) {
+  const pid = client?.pupBrowser?.process?.()?.pid;
+  if (!pid) return null;
+  const rssOf = (p) => {
+    try {
+      const match = fs.readFileSync(`/proc/${p}/status`, 'utf8').match(/^VmRSS:\s+(\d+)\s+kB/m);
+      return match ? parseInt(match[1], 10) * 1024 : 0;
+    } catch (e) {
+      return 0;
+    }
+  };
+  let children = [];
+  try {
+    children = fs.readFileSync(`/proc/${pid}/task/${pid}/children`, 'utf8').trim().split(/\s+/).filter(Boolean);
+  } catch (e) {
+    // not Linux or the process is gone
+  }
+  const total = rssOf(pid) + children.reduce((sum, child) => sum + rssOf(child), 0);
+  return total || null;
+}
+
 // Callback URL for notifying Lovable backend of status changes
 const CALLBACK_URL = process.env.CALLBACK_URL || '';
 
+// Admin key for global endpoints; also accepted on per-connection routes instead of the connection token
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+// /metrics carries connection_id labels: served with the admin key, or to anyone only with METRICS_PUBLIC=true
+const METRICS_PUBLIC = process.env.METRICS_PUBLIC === 'true';
+
+// LocalAuth session directories live here (mounted as a Railway volume)
+const AUTH_PATH = './.wwebjs_auth';
+// Bridge-owned state is kept on the same volume so it survives redeploys
+const BRIDGE_DATA_PATH = path.join(AUTH_PATH, 'bridge');
+const CONNECTIONS_FILE = path.join(BRIDGE_DATA_PATH, 'connections.json');
+
+function readJsonFile(file, fallback) {
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    log.error('storage.read_failed', null, `Could not read ${file}: ${err.message}`, { file, error: err.message });
+    return fallback;
+  }
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated JSON behind
+function writeJsonFile(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+  } catch (err) {
+    log.error('storage.write_failed', null, `Could not write ${file}: ${err.message}`, { file, error: err.message });
+  }
+}
+
+// Files that change on every delivery / send are written at most once per JSON_WRITE_DELAY_MS:
+// `getData` is read when the write happens, so bursts of changes cost a single rewrite.
+// shutdown() flushes whatever is still pending.
+const JSON_WRITE_DELAY_MS = 1000;
+const pendingJsonWrites = new Map();
+
+function scheduleJsonWrite(file, getData) {
+  if (pendingJsonWrites.has(file)) return;
+  const timer = setTimeout(() => flushJsonWrite(file), JSON_WRITE_DELAY_MS);
+  pendingJsonWrites.set(file, { timer, getData });
+}
+
+function flushJsonWrite(file) {
+  const pending = pendingJsonWrites.get(file);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingJsonWrites.delete(file);
+  writeJsonFile(file, pending.getData());
+}
+
+function flushJsonWrites() {
+  [...pendingJsonWrites.keys()].forEach(flushJsonWrite);
+}
+
+// Persisted per-connection settings:
+// { [connection_id]: { tokenHash, createdAt, webhookSecret, defaultCountry, webhookUrl, webhookEvents, phone, disconnected } }
+const connectionConfigs = readJsonFile(CONNECTIONS_FILE, {});
+
+function getConnectionConfig(connection_id) {
+  return connectionConfigs[connection_id] || null;
+}
+
+function updateConnectionConfig(connection_id, patch) {
+  const current = connectionConfigs[connection_id];
+  // get-qr is polled while the QR is shown: only hit the disk when a value actually changes
+  if (current && Object.entries(patch).every(([key, value]) => JSON.stringify(current[key]) === JSON.stringify(value))) {
+    return current;
+  }
+  connectionConfigs[connection_id] = { ...(current || {}), ...patch };
+  writeJsonFile(CONNECTIONS_FILE, connectionConfigs);
+  return connectionConfigs[connection_id];
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Bind a token to a connection the first time we see it. Never overwrites an existing binding.
+function bindConnectionToken(connection_id, token) {
+  if (!token || getConnectionConfig(connection_id)?.tokenHash) return;
+  updateConnectionConfig(connection_id, { tokenHash: hashToken(token), createdAt: Date.now() });
+  log.info('auth.token_bound', connection_id, 'Token bound to connection');
+}
+
+// The connection a request acts on. GET routes read the query string only, everything else the JSON
+// body, so requireConnectionToken checks the very id the route serves (it is kept as req.connectionId).
+function requestConnectionId(req) {
+  if (req.method === 'GET') return req.query?.connection_id || null;
+  return req.body?.connection_id || req.body?.instance_id || null;
+}
+
+function getRequestToken(req) {
+  const token = req.method === 'GET' ? req.query?.token : req.body?.token;
+  return token || req.get('x-connection-token') || null;
+}
+
+function isAdminRequest(req) {
+  if (!ADMIN_API_KEY) return false;
+  const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const key = req.get('x-admin-key') || bearer;
+  return !!key && safeEqual(key, ADMIN_API_KEY);
+}
+
+// Error envelope returned by every endpoint: { error: message, code, ...details }. Clients switch on
+// `code`; the HTTP status is derived from it so the same condition always gets the same status.
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  INVALID_JSON: 400,
+  INVALID_NUMBER: 400,
+  INVALID_MEDIA: 400,
+  // Connection problems keep the historical 400 + needs_reconnect
+  NOT_CONNECTED: 400,
+  SESSION_EXPIRED: 400,
+  CONNECTION_LOST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  MESSAGE_NOT_FOUND: 404,
+  NOT_ON_WHATSAPP: 404,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  INTERNAL_ERROR: 500,
+  WHATSAPP_ERROR: 502,
+  CAPACITY: 503,
+  ADMIN_DISABLED: 503,
+  METRICS_DISABLED: 503,
+  SHUTTING_DOWN: 503,
+  SEND_TIMEOUT: 504,
+  TIMEOUT: 504
+};
+
+function sendError(res, code, message, extra = {}) {
+  return res.status(ERROR_STATUS[code] || 500).json({ error: message, code, ...extra });
+}
+
+// Map an exception from a WhatsApp call to the envelope: request errors keep their code,
+// timeouts become `timeoutCode`, anything else is INTERNAL_ERROR.
+function sendServerError(res, err, timeoutCode = 'TIMEOUT') {
+  if (err.isInputError) return sendError(res, err.code, err.message);
+  if (err.isTimeout) return sendError(res, timeoutCode, err.message);
+  return sendError(res, 'INTERNAL_ERROR', err.message);
+}
+
+// Routes that create a connection (through initClient) and may therefore bind its first token.
+// Import is one of them: it is how a session arrives on a new host.
+const TOKEN_BINDING_ROUTES = ['/api/get-qr', '/api/get-pairing-code', '/api/session/import'];
+
+// connection_ids become directory names (`session-<id>`) and store keys, so only plain
+// identifiers are accepted: letters, digits, `_` and `-`
+const CONNECTION_ID_PATTERN = /^[\w-]+$/;
+
+function isValidConnectionId(value) {
+  return typeof value === 'string' && CONNECTION_ID_PATTERN.test(value);
+}
+
+// Route middleware: the caller must present the token bound to the connection (or the admin key).
+// Only TOKEN_BINDING_ROUTES are allowed on a connection without a bound token, since that is
+// where initClient creates the connection and binds the token. A connection that already has a
+// session (saved before tokens existed, or running) is not up for grabs: only the admin binds it.
+function requireConnectionToken(req, res, next) {
+  const connId = requestConnectionId(req);
+  req.connectionId = connId;
+  // Without an id only the admin gets past the route's own `connection_id required` check
+  if (!connId) return isAdminRequest(req) ? validateBody(req, res, next) : next();
+  if (!isValidConnectionId(connId)) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id may only contain letters, digits, _ and -');
+  }
+  if (isAdminRequest(req)) return validateBody(req, res, next);
+
+  const token = getRequestToken(req);
+  if (!token) {
+    return sendError(res, 'UNAUTHORIZED', 'token required');
+  }
+
+  const config = getConnectionConfig(connId);
+  if (!config?.tokenHash) {
+    if (!TOKEN_BINDING_ROUTES.includes(req.path)) {
+      return sendError(res, 'FORBIDDEN', 'No token bound to this connection. Call /api/get-qr with a token first.');
+    }
+    hasExistingSession(connId).then(exists => {
+      if (exists) {
+        log.warn('auth.rejected', connId, `Rejected request to ${req.path}: unbound session needs the admin key`, { path: req.path });
+        return sendError(res, 'FORBIDDEN', 'This connection already has a session. Its first token must be bound with the admin key.');
+      }
+      validateBody(req, res, next);
+    }, err => sendServerError(res, err));
+    return;
+  }
+
+  if (!safeEqual(config.tokenHash, hashToken(token))) {
+    log.warn('auth.rejected', connId, `Rejected request to ${req.path}: invalid token`, { path: req.path });
+    return sendError(res, 'FORBIDDEN', 'Invalid token for this connection');
+  }
+
+  validateBody(req, res, next);
+}
+
+// Look up the `:id` of a route in `items` (campaigns, schedules), but only if it belongs to the calling
+// connection. Sends the error and returns null otherwise.
+function getOwnItem(req, res, items, notFoundMessage) {
+  if (!req.connectionId) {
+    sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+    return null;
+  }
+  const item = items[req.params.id];
+  if (!item || item.connectionId !== req.connectionId) {
+    sendError(res, 'NOT_FOUND', notFoundMessage);
+    return null;
+  }
+  return item;
+}
+
 // Patch WhatsApp Web runtime to avoid occasional breaking changes in internal functions.
 // In particular, some WA Web updates have caused whatsapp-web.js to throw inside WWebJS.sendSeen
 // (e.g. reading `markedUnread` from undefined). We no-op sendSeen to keep sending messages stable.
+// The original is kept as WWebJS.__lovableOriginalSendSeen for explicit "mark read" calls (markChatSeen).
 async function applyRuntimePatches(client, connId) {
   try {
     // whatsapp-web.js exposes the underlying puppeteer page as `pupPage`
     const page = client?.pupPage;
     if (!page) {
-      console.log(`[${connId}] Runtime patch skipped: pupPage not available yet`);
+      log.debug('patch.skipped', connId, 'Runtime patch skipped: pupPage not available yet');
       return;
     }
 
@@ -66,584 +462,4072 @@ async function applyRuntimePatches(client, connId) {
 
       // Replace sendSeen with a safe no-op to avoid WA internal API mismatches.
       // Some library flows call sendSeen implicitly during sendMessage.
+      w.WWebJS.__lovableOriginalSendSeen = w.WWebJS.sendSeen;
       w.WWebJS.sendSeen = async () => true;
       w.WWebJS.__lovablePatchedSendSeen = true;
     });
 
-    console.log(`[${connId}] Runtime patch applied: WWebJS.sendSeen overridden`);
+    log.debug('patch.applied', connId, 'Runtime patch applied: WWebJS.sendSeen overridden');
   } catch (e) {
-    console.log(`[${connId}] Runtime patch failed (non-fatal): ${e?.message || e}`);
+    log.warn('patch.failed', connId, `Runtime patch failed (non-fatal): ${e?.message || e}`, { error: e?.message || String(e) });
   }
 }
 
-// Send status update to Lovable backend
-async function sendStatusCallback(connection_id, status, phone_number = null) {
-  if (!CALLBACK_URL) {
-    console.log(`[${connection_id}] No CALLBACK_URL configured, skipping status callback`);
-    return;
+// Outgoing webhook / callback delivery: every request is HMAC-signed and retried with exponential
+// backoff. Deliveries that still fail end up in a persisted dead-letter log that can be replayed.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const WEBHOOK_RETRY_BASE_MS = 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const DEAD_LETTERS_FILE = path.join(BRIDGE_DATA_PATH, 'dead-letters.json');
+const DEAD_LETTERS_MAX = 1000;
+
+// [{ id, connectionId, kind, event, url, payload, spooledMedia, attempts, lastError, failedAt }]
+const deadLetters = readJsonFile(DEAD_LETTERS_FILE, []);
+
+function saveDeadLetters() {
+  scheduleJsonWrite(DEAD_LETTERS_FILE, () => deadLetters);
+}
+
+function getWebhookSecret(connection_id) {
+  return getConnectionConfig(connection_id)?.webhookSecret || WEBHOOK_SECRET;
+}
+
+// Receivers verify with: hex(HMAC_SHA256(secret, `${X-Bridge-Timestamp}.${rawBody}`))
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// One POST attempt. Resolves { ok, retryable, error }.
+async function postSigned(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Bridge-Event-Id': delivery.id,
+    'X-Bridge-Event': delivery.event,
+    'X-Bridge-Timestamp': timestamp
+  };
+  const secret = getWebhookSecret(delivery.connectionId);
+  if (secret) {
+    headers['X-Bridge-Signature'] = `sha256=${signPayload(secret, timestamp, body)}`;
   }
-  
+
+  const stopTimer = metrics.webhookLatency.startTimer({ kind: delivery.kind });
   try {
-    console.log(`[${connection_id}] Sending status callback: ${status}, phone: ${phone_number}`);
-    const response = await fetch(CALLBACK_URL, {
+    const response = await fetch(delivery.url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        connection_id,
-        instance_id: connection_id, // Keep for backwards compatibility
-        status,
-        phone_number
-      })
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
     });
-    const result = await response.text();
-    console.log(`[${connection_id}] Callback response: ${response.status} - ${result}`);
+    stopTimer();
+    if (response.ok) return { ok: true };
+    const text = await response.text().catch(() => '');
+    // Client errors won't fix themselves, except timeouts and rate limiting
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    return { ok: false, retryable, error: `HTTP ${response.status}: ${text.substring(0, 200)}` };
   } catch (err) {
-    console.error(`[${connection_id}] Callback error:`, err.message);
+    stopTimer();
+    return { ok: false, retryable: true, error: err.message };
   }
 }
 
-// Initialize WhatsApp client for a connection
-function initClient(connection_id, webhookUrl) {
-  const session = getSession(connection_id);
-  
-  // Store webhook URL for later use (auto-restore)
-  if (webhookUrl) {
-    session.webhookUrl = webhookUrl;
-  }
-  
-  // If already connected or connecting, skip
-  if (session.client && ['connected', 'connecting', 'qr_pending'].includes(session.status)) {
-    console.log(`[${connection_id}] Client already exists with status: ${session.status}`);
-    return session;
+// An inline attachment (`data.media.data`, base64) is spooled before the delivery is logged, so
+// dead-letters.json doesn't hold the base64. It stays in the spool until the entry is replayed or
+// trimmed (releaseDeadLetter), and a replay sends it inline again (withSpooledMedia).
+function spoolDeadLetterMedia(delivery) {
+  const media = delivery.payload?.data?.media;
+  if (!media?.data) return delivery;
+  const { data, ...info } = media;
+  return {
+    ...delivery,
+    payload: { ...delivery.payload, data: { ...delivery.payload.data, media: info } },
+    spooledMedia: spoolMedia(delivery.connectionId, { media: data })
+  };
+}
+
+// The delivery as it was first attempted
+function withSpooledMedia(delivery) {
+  const { spooledMedia, ...rest } = delivery;
+  if (!spooledMedia) return rest;
+  const { media } = unspoolMedia(spooledMedia);
+  return {
+    ...rest,
+    payload: { ...rest.payload, data: { ...rest.payload.data, media: { ...rest.payload.data.media, data: media } } }
+  };
+}
+
+function releaseDeadLetter(entry) {
+  releaseSpooledMedia(entry.spooledMedia);
+}
+
+function addDeadLetter(delivery, attempts, lastError) {
+  const existing = deadLetters.findIndex(entry => entry.id === delivery.id);
+  if (existing !== -1) releaseDeadLetter(deadLetters.splice(existing, 1)[0]);
+  deadLetters.push({ ...spoolDeadLetterMedia(delivery), attempts, lastError, failedAt: Date.now() });
+  if (deadLetters.length > DEAD_LETTERS_MAX) {
+    deadLetters.splice(0, deadLetters.length - DEAD_LETTERS_MAX).forEach(releaseDeadLetter);
   }
+  saveDeadLetters();
+}
 
-  console.log(`[${connection_id}] Initializing new WhatsApp client...`);
-  
-  session.status = 'connecting';
-  session.qr = null;
+// Deliver with retries; never throws. Resolves true when the receiver accepted the event.
+async function deliverEvent({ connectionId, kind, event, url, payload, id = crypto.randomUUID() }) {
+  const delivery = { id, connectionId, kind, event, url, payload };
+  let lastError = null;
 
-  const client = new Client({
-    authStrategy: new LocalAuth({ clientId: connection_id }),
-    puppeteer: {
-      headless: "new",  // Noul mod headless, mai stabil și mai greu de detectat
-      protocolTimeout: 120000,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu',
-        // Anti-detecție
-        '--disable-blink-features=AutomationControlled',
-        '--disable-features=IsolateOrigins,site-per-process',
-        '--disable-web-security',
-        '--disable-extensions',
-        // Performanță
-        '--single-process',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding'
-      ]
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const result = await postSigned(delivery);
+    if (result.ok) {
+      metrics.webhookDeliveries.inc({ kind, result: 'success' });
+      if (attempt > 1) {
+        log.info('webhook.delivered', connectionId, `${kind} ${event} delivered on attempt ${attempt}`, { kind, webhook_event: event, attempt });
+      }
+      return true;
     }
-  });
 
-  client.on('qr', async (qr) => {
-    console.log(`[${connection_id}] QR code received`);
-    try {
-      // Convert QR string to base64 PNG image
-      const qrDataUrl = await QRCode.toDataURL(qr, { width: 256, margin: 2 });
-      session.qr = qrDataUrl;
-      session.status = 'qr_pending';
-      // Notify backend about QR pending status
-      sendStatusCallback(connection_id, 'qr_pending');
-    } catch (err) {
-      console.error(`[${connection_id}] QR generation error:`, err);
+    lastError = result.error;
+    log.warn('webhook.attempt_failed', connectionId, `${kind} ${event} attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS} failed: ${lastError}`, {
+      kind, webhook_event: event, attempt, error: lastError
+    });
+    if (!result.retryable) {
+      metrics.webhookDeliveries.inc({ kind, result: 'failure' });
+      addDeadLetter(delivery, attempt, lastError);
+      return false;
+    }
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      await sleep(Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1), 60000));
     }
+  }
+
+  metrics.webhookDeliveries.inc({ kind, result: 'failure' });
+  log.error('webhook.dead_lettered', connectionId, `${kind} ${event} moved to dead-letter log: ${lastError}`, {
+    kind, webhook_event: event, error: lastError
   });
+  addDeadLetter(delivery, WEBHOOK_MAX_ATTEMPTS, lastError);
+  return false;
+}
 
-  client.on('ready', async () => {
-    console.log(`[${connection_id}] WhatsApp client ready!`);
-    session.status = 'connected';
-    session.qr = null;
+// Mark a chat as read. sendSeen is no-op'd by applyRuntimePatches, so call the original explicitly and
+// fall back to WA Web internals when it throws (the API mismatch the patch works around).
+// Resolves the method that worked: 'sendSeen', 'store_send_seen' or 'mark_chat_read'.
+async function markChatSeen(client, connId, chatId) {
+  await applyRuntimePatches(client, connId);
+  const page = client?.pupPage;
+  if (!page) throw new Error('WhatsApp page not available');
 
-    // Apply runtime patches as soon as the page is ready.
-    await applyRuntimePatches(client, connection_id);
-    
+  const result = await page.evaluate(async (id) => {
+    // eslint-disable-next-line no-undef
+    const w = window;
+    const errors = [];
+    const original = w.WWebJS.__lovableOriginalSendSeen || w.WWebJS.sendSeen;
     try {
-      const info = client.info;
-      session.phone = info?.wid?.user || null;
-      console.log(`[${connection_id}] Connected phone: ${session.phone}`);
-      // IMPORTANT: Send callback to update database
-      sendStatusCallback(connection_id, 'connected', session.phone);
+      if (await original(id)) return { method: 'sendSeen' };
     } catch (e) {
-      console.error(`[${connection_id}] Error getting phone info:`, e);
-      // Still send connected status even if we couldn't get phone
-      sendStatusCallback(connection_id, 'connected');
+      errors.push(`sendSeen: ${e?.message || e}`);
     }
-  });
 
-  client.on('authenticated', () => {
-    console.log(`[${connection_id}] Authenticated`);
-    session.status = 'connecting';
-    session.qr = null;
-  });
+    const chat = w.Store?.Chat?.get(id);
+    if (!chat) return { error: 'Chat not found' };
+    try {
+      await w.Store.SendSeen.sendSeen(chat, false);
+      return { method: 'store_send_seen' };
+    } catch (e) {
+      errors.push(`Store.SendSeen: ${e?.message || e}`);
+    }
+    try {
+      await w.Store.Cmd.markChatUnread(chat, false);
+      return { method: 'mark_chat_read' };
+    } catch (e) {
+      errors.push(`Store.Cmd.markChatUnread: ${e?.message || e}`);
+    }
+    return { error: errors.join('; ') };
+  }, chatId);
 
-  client.on('auth_failure', (msg) => {
-    console.error(`[${connection_id}] Auth failure:`, msg);
-    session.status = 'disconnected';
-    session.qr = null;
-    session.client = null;
-    sendStatusCallback(connection_id, 'disconnected');
-  });
+  if (result.error) throw new Error(`Could not mark chat as read: ${result.error}`);
+  if (result.method !== 'sendSeen') {
+    log.info('chat.mark_read_fallback', connId, `sendSeen mismatch, marked ${chatId} read via ${result.method}`, { chat_id: chatId, method: result.method });
+  }
+  return result.method;
+}
 
-  client.on('disconnected', (reason) => {
-    console.log(`[${connection_id}] Disconnected:`, reason);
-    session.status = 'disconnected';
-    session.qr = null;
-    session.phone = null;
-    session.client = null;
-    sendStatusCallback(connection_id, 'disconnected');
-  });
+// Show "typing..." / "recording audio..." in a chat for `durationMs`
+async function simulatePresence(client, chatId, presence, durationMs) {
+  const chat = await withTimeout(client.getChatById(chatId), 10000, 'Get chat timeout after 10s');
+  if (presence === 'recording') {
+    await chat.sendStateRecording();
+  } else {
+    await chat.sendStateTyping();
+  }
+  await sleep(durationMs);
+  await chat.clearState().catch(() => {});
+}
 
-  // NEW: Listen for state changes to detect session invalidation
-  client.on('change_state', (state) => {
-    console.log(`[${connection_id}] State changed to: ${state}`);
-    if (state === 'CONFLICT' || state === 'UNLAUNCHED' || state === 'UNPAIRED') {
-      console.log(`[${connection_id}] Session invalidated, marking as disconnected`);
-      session.status = 'disconnected';
-      session.qr = null;
-      session.phone = null;
-      sendStatusCallback(connection_id, 'disconnected');
+// Send status update to Lovable backend
+async function sendStatusCallback(connection_id, status, phone_number = null, extra = {}) {
+  if (!CALLBACK_URL) {
+    log.debug('status_callback', connection_id, 'No CALLBACK_URL configured, skipping status callback', { status });
+    return;
+  }
+  
+  log.info('status_callback', connection_id, `Sending status callback: ${status}, phone: ${phone_number}`, { status });
+  await deliverEvent({
+    connectionId: connection_id,
+    kind: 'status_callback',
+    event: status,
+    url: CALLBACK_URL,
+    payload: {
+      connection_id,
+      instance_id: connection_id, // Keep for backwards compatibility
+      status,
+      phone_number,
+      ...extra
     }
   });
+}
 
-  // Handle incoming messages -> forward to webhook
-  client.on('message', async (message) => {
-    console.log(`[${connection_id}] Message from ${message.from}: ${message.body?.substring(0, 50)}...`);
-    
-    const webhook = session.webhookUrl;
-    if (webhook) {
-      try {
-        await fetch(webhook, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            connection_id,
-            instance_id: connection_id, // Keep for backwards compatibility
-            event: 'message',
-            data: {
-              from: message.from,
-              to: message.to,
-              body: message.body,
-              timestamp: message.timestamp,
-              type: message.type,
-              hasMedia: message.hasMedia
-            }
-          })
-        });
-      } catch (err) {
-        console.error(`[${connection_id}] Webhook error:`, err.message);
-      }
-    }
-  });
+// Incoming media up to this size is inlined as base64 in the webhook; bigger files are
+// kept on disk for MEDIA_TTL_MS and only referenced by media_id / url.
+const MEDIA_INLINE_MAX_BYTES = parseInt(process.env.MEDIA_INLINE_MAX_BYTES || `${5 * 1024 * 1024}`, 10);
+const MEDIA_TTL_MS = parseInt(process.env.MEDIA_TTL_MS || `${60 * 60 * 1000}`, 10);
+const MEDIA_CACHE_PATH = process.env.MEDIA_CACHE_PATH || path.join(os.tmpdir(), 'wa-bridge-media');
+// Public base URL of the bridge, used to build absolute media download links
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
 
-  client.initialize().catch(err => {
-    console.error(`[${connection_id}] Client init error:`, err);
-    session.status = 'disconnected';
-    session.client = null;
-    sendStatusCallback(connection_id, 'disconnected');
-  });
+// Normalized message shape shared by the webhook payloads
+function serializeMessage(message) {
+  return {
+    id: message.id?.id || null,
+    serialized_id: message.id?._serialized || null,
+    from: message.from,
+    to: message.to,
+    author: message.author || null,
+    fromMe: !!message.fromMe,
+    body: message.body,
+    timestamp: message.timestamp,
+    type: message.type,
+    hasMedia: message.hasMedia
+  };
+}
 
-  session.client = client;
-  return session;
+function base64Size(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor((data.length * 3) / 4) - padding;
 }
 
-// NEW: Restore saved sessions on server startup
-async function restoreSessions() {
-  const authPath = './.wwebjs_auth';
-  
-  if (!fs.existsSync(authPath)) {
-    console.log('[Startup] No saved sessions to restore');
-    return;
-  }
+function mediaFilePaths(mediaId) {
+  return {
+    dataFile: path.join(MEDIA_CACHE_PATH, `${mediaId}.bin`),
+    metaFile: path.join(MEDIA_CACHE_PATH, `${mediaId}.json`)
+  };
+}
 
-  try {
-    const dirs = fs.readdirSync(authPath);
-    const sessionDirs = dirs.filter(dir => dir.startsWith('session-'));
-    
-    if (sessionDirs.length === 0) {
-      console.log('[Startup] No session directories found');
-      return;
-    }
+// Keep an oversized attachment on disk so the backend can fetch it via /api/media/:mediaId
+function stashMedia(connection_id, media, size) {
+  const mediaId = crypto.randomUUID();
+  const { dataFile, metaFile } = mediaFilePaths(mediaId);
+  fs.mkdirSync(MEDIA_CACHE_PATH, { recursive: true });
+  fs.writeFileSync(dataFile, Buffer.from(media.data, 'base64'));
+  fs.writeFileSync(metaFile, JSON.stringify({
+    connection_id,
+    mimetype: media.mimetype,
+    filename: media.filename || null,
+    size,
+    expiresAt: Date.now() + MEDIA_TTL_MS
+  }));
+  return mediaId;
+}
 
-    console.log(`[Startup] Found ${sessionDirs.length} saved session(s) to restore`);
-    
-    for (const dir of sessionDirs) {
-      const connectionId = dir.replace('session-', '');
-      console.log(`[${connectionId}] Attempting to restore saved session...`);
-      
-      // Initialize client which will use LocalAuth to restore session
-      initClient(connectionId, null);
-      
-      // Delay uman mai mare între inițializări pentru a evita detecția
-      await humanDelay(3000, 5000);
-    }
-  } catch (err) {
-    console.error('[Startup] Error restoring sessions:', err);
-  }
+// Outgoing media waiting to be sent later (queue, campaign templates, scheduled messages) is spooled
+// next to the JSON state files, on the volume, so they keep a `media_ref` instead of the base64 and
+// both survive a redeploy. Spooled files don't expire: the owner of the payload removes them with
+// releaseSpooledMedia once the message is sent or given up. A `media_ref` coming from the request
+// itself is dropped.
+const SPOOL_PATH = path.join(BRIDGE_DATA_PATH, 'spool');
+
+function spoolFile(mediaId) {
+  return path.join(SPOOL_PATH, `${mediaId}.b64`);
 }
 
-// NEW: Helper function to verify real connection state with timeout
-async function verifyConnectionState(session, connId, timeoutMs = 5000) {
-  if (!session.client) {
-    return { connected: false, reason: 'no_client' };
+function spoolMedia(connection_id, payload) {
+  const { media_ref: ignored, media, ...rest } = payload; // eslint-disable-line no-unused-vars
+  const inline = typeof media === 'string' ? media.trim() : '';
+  if (!inline || /^https?:\/\//i.test(inline)) return media === undefined ? rest : { ...rest, media };
+  const mediaId = crypto.randomUUID();
+  fs.mkdirSync(SPOOL_PATH, { recursive: true });
+  fs.writeFileSync(spoolFile(mediaId), inline);
+  return { ...rest, media_ref: mediaId };
+}
+
+// The payload as it was submitted, with the spooled media read back. Media spooled before the spool
+// moved to the volume is still read from the media cache.
+function unspoolMedia(payload) {
+  if (!payload.media_ref) return payload;
+  const { media_ref: mediaId, ...rest } = payload;
+  const file = [spoolFile(mediaId), mediaFilePaths(mediaId).dataFile].find(f => fs.existsSync(f));
+  if (!file) {
+    throw inputError('INVALID_MEDIA', 'Spooled media is missing from the spool');
   }
-  
-  try {
-    // Add timeout to getState() call
-    const statePromise = session.client.getState();
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('State check timeout')), timeoutMs)
+  return { ...rest, media: fs.readFileSync(file, 'utf8') };
+}
+
+function releaseSpooledMedia(payload) {
+  if (!payload?.media_ref) return;
+  const { dataFile, metaFile } = mediaFilePaths(payload.media_ref);
+  [spoolFile(payload.media_ref), dataFile, metaFile].forEach(file => fs.rmSync(file, { force: true }));
+}
+
+// How a payload with spooled media is shown in API responses: the media itself is not echoed
+// back, `media_spooled` tells it is there
+function withoutSpooledMedia(payload) {
+  const { media_ref: mediaRef, ...rest } = payload;
+  return mediaRef ? { ...rest, media_spooled: true } : rest;
+}
+
+// How webhook payloads point to a file kept by stashMedia
+function mediaReference(connection_id, mediaId) {
+  const downloadPath = `/api/media/${mediaId}?connection_id=${encodeURIComponent(connection_id)}`;
+  return {
+    media_id: mediaId,
+    url: `${PUBLIC_URL}${downloadPath}`,
+    expires_at: new Date(Date.now() + MEDIA_TTL_MS).toISOString()
+  };
+}
+
+// Download the attachment of an incoming message and describe it for the webhook payload
+async function fetchIncomingMedia(connection_id, message) {
+  try {
+    const media = await withTimeout(message.downloadMedia(), 60000, 'Media download timeout after 60s');
+    if (!media?.data) {
+      return { error: 'media_unavailable' };
+    }
+
+    const size = base64Size(media.data);
+    const info = {
+      mimetype: media.mimetype,
+      filename: media.filename || null,
+      size
+    };
+
+    if (size <= MEDIA_INLINE_MAX_BYTES) {
+      return { ...info, data: media.data };
+    }
+
+    const mediaId = stashMedia(connection_id, media, size);
+    log.info('media.stored', connection_id, `Media too large to inline (${size} bytes), stored as ${mediaId}`, { media_id: mediaId, size });
+    return { ...info, ...mediaReference(connection_id, mediaId) };
+  } catch (err) {
+    log.error('media.download_failed', connection_id, `Media download error: ${err.message}`, { error: err.message });
+    return { error: err.message };
+  }
+}
+
+// whatsapp-web.js MessageAck values -> names used in the message_ack webhook
+const ACK_STATUSES = {
+  '-1': 'error',
+  0: 'sent',
+  1: 'server',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+
+// Event types a connection can subscribe to via `webhook_events` (see README for payloads)
+const WEBHOOK_EVENTS = [
+  'message',
+  'message_sent',
+  'message_ack',
+  'message_edit',
+  'message_revoked',
+  'message_reaction',
+  'group_join',
+  'group_leave',
+  'call',
+  'poll_vote',
+  'scheduled_message'
+];
+
+// Validate a `webhook_events` request field. Returns { events } or { error }.
+function parseWebhookEvents(value) {
+  if (value === undefined || value === null) return { events: undefined };
+  if (!Array.isArray(value)) return { error: 'webhook_events must be an array' };
+  const unknown = value.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return { error: `Unknown webhook_events: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+  return { events: [...new Set(value)] };
+}
+
+function isWebhookSubscribed(session, event) {
+  return !!session.webhookUrl && (!session.webhookEvents || session.webhookEvents.includes(event));
+}
+
+// POST an event to the session webhook (signed, retried, dead-lettered). Never throws.
+async function postWebhook(session, connection_id, event, data) {
+  if (!isWebhookSubscribed(session, event)) return;
+
+  await deliverEvent({
+    connectionId: connection_id,
+    kind: 'webhook',
+    event,
+    url: session.webhookUrl,
+    payload: {
+      connection_id,
+      instance_id: connection_id, // Keep for backwards compatibility
+      event,
+      data
+    }
+  });
+}
+
+// Session storage. SESSION_STORE=local (default) keeps the LocalAuth `session-*` directories on the
+// volume. `file` and `postgres` switch to RemoteAuth: the Chromium profile is zipped and backed up to
+// the store, so a session can be restored on another host / replica without rescanning the QR.
+const SESSION_STORE = (process.env.SESSION_STORE || 'local').toLowerCase();
+const SESSION_STORE_PATH = process.env.SESSION_STORE_PATH || path.join(AUTH_PATH, 'remote-sessions');
+const SESSION_BACKUP_INTERVAL_MS = Math.max(parseInt(process.env.SESSION_BACKUP_INTERVAL_MS || '300000', 10), 60000);
+// Only these profile folders are needed to restore a login (same list RemoteAuth keeps)
+const SESSION_PROFILE_DIRS = ['IndexedDB', 'Local Storage'];
+
+// RemoteAuth store contract: sessionExists / save / extract / delete. `save` must read the zip that
+// RemoteAuth wrote at `${session}.zip`; we key everything by the basename (`RemoteAuth-<clientId>`).
+// list / read / write are used by restoreSessions and the export/import endpoints.
+class FileSessionStore {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  zipPath(session) {
+    return path.join(this.dir, `${path.basename(session)}.zip`);
+  }
+
+  async sessionExists({ session }) {
+    return fs.existsSync(this.zipPath(session));
+  }
+
+  async save({ session }) {
+    await this.write(path.basename(session), await fs.promises.readFile(`${session}.zip`));
+  }
+
+  async extract({ session, path: target }) {
+    const data = await this.read(path.basename(session));
+    if (data) await fs.promises.writeFile(target, data);
+  }
+
+  async delete({ session }) {
+    await fs.promises.rm(this.zipPath(session), { force: true });
+  }
+
+  async list() {
+    return fs.readdirSync(this.dir).filter(f => f.endsWith('.zip')).map(f => f.replace(/\.zip$/, ''));
+  }
+
+  async read(name) {
+    const file = this.zipPath(name);
+    return fs.existsSync(file) ? fs.promises.readFile(file) : null;
+  }
+
+  async write(name, data) {
+    const file = this.zipPath(name);
+    await fs.promises.writeFile(`${file}.tmp`, data);
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+}
+
+class PostgresSessionStore {
+  constructor(connectionString) {
+    // Only required when this backend is selected
+    // eslint-disable-next-line global-require
+    const { Pool } = require('pg');
+    this.pool = new Pool({ connectionString });
+    // An idle client losing its connection is reported here; without a listener it would crash the process
+    this.pool.on('error', err => {
+      log.error('session_store.error', null, `Postgres session store: ${err.message}`, errorFields(err));
+    });
+    this.tableReady = null;
+  }
+
+  // The table is created on first use rather than at boot, so an unreachable database fails the
+  // calls that need it instead of the process. A failed attempt is not cached: the next call retries.
+  ensureTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS wa_sessions (
+          name TEXT PRIMARY KEY,
+          data BYTEA NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `).catch(err => {
+        this.tableReady = null;
+        throw err;
+      });
+    }
+    return this.tableReady;
+  }
+
+  async sessionExists({ session }) {
+    await this.ensureTable();
+    const { rowCount } = await this.pool.query('SELECT 1 FROM wa_sessions WHERE name = $1', [path.basename(session)]);
+    return rowCount > 0;
+  }
+
+  async save({ session }) {
+    await this.write(path.basename(session), await fs.promises.readFile(`${session}.zip`));
+  }
+
+  async extract({ session, path: target }) {
+    const data = await this.read(path.basename(session));
+    if (data) await fs.promises.writeFile(target, data);
+  }
+
+  async delete({ session }) {
+    await this.ensureTable();
+    await this.pool.query('DELETE FROM wa_sessions WHERE name = $1', [path.basename(session)]);
+  }
+
+  async list() {
+    await this.ensureTable();
+    const { rows } = await this.pool.query('SELECT name FROM wa_sessions ORDER BY name');
+    return rows.map(row => row.name);
+  }
+
+  async read(name) {
+    await this.ensureTable();
+    const { rows } = await this.pool.query('SELECT data FROM wa_sessions WHERE name = $1', [name]);
+    return rows[0]?.data || null;
+  }
+
+  async write(name, data) {
+    await this.ensureTable();
+    await this.pool.query(
+      `INSERT INTO wa_sessions (name, data, updated_at) VALUES ($1, $2, NOW())
+       ON CONFLICT (name) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()`,
+      [name, data]
+    );
+  }
+}
+
+function createRemoteSessionStore() {
+  switch (SESSION_STORE) {
+    case 'local':
+      return null;
+    case 'file':
+      return new FileSessionStore(SESSION_STORE_PATH);
+    case 'postgres':
+      if (!process.env.DATABASE_URL) {
+        throw new Error('SESSION_STORE=postgres requires DATABASE_URL');
+      }
+      return new PostgresSessionStore(process.env.DATABASE_URL);
+    default:
+      throw new Error(`Unknown SESSION_STORE: ${SESSION_STORE} (expected local, file or postgres)`);
+  }
+}
+
+// null when sessions are kept as LocalAuth directories
+const remoteSessionStore = createRemoteSessionStore();
+log.info('boot.session_store', null, `Session store: ${SESSION_STORE}`, { store: SESSION_STORE });
+
+function remoteSessionName(connection_id) {
+  return `RemoteAuth-${connection_id}`;
+}
+
+function localSessionDir(connection_id) {
+  return path.join(AUTH_PATH, `session-${connection_id}`);
+}
+
+function createAuthStrategy(connection_id) {
+  if (!remoteSessionStore) {
+    return new LocalAuth({ clientId: connection_id });
+  }
+  return new RemoteAuth({
+    clientId: connection_id,
+    dataPath: AUTH_PATH,
+    store: remoteSessionStore,
+    backupSyncIntervalMs: SESSION_BACKUP_INTERVAL_MS
+  });
+}
+
+// connection_ids of every session saved in the configured store
+async function listStoredSessions() {
+  if (remoteSessionStore) {
+    const names = await remoteSessionStore.list();
+    return names.filter(name => name.startsWith('RemoteAuth-')).map(name => name.replace('RemoteAuth-', ''));
+  }
+  if (!fs.existsSync(AUTH_PATH)) return [];
+  return fs.readdirSync(AUTH_PATH)
+    .filter(dir => dir.startsWith('session-'))
+    .map(dir => dir.replace('session-', ''));
+}
+
+async function zipLocalSession(connection_id) {
+  // eslint-disable-next-line global-require
+  const archiver = require('archiver');
+  const profileDir = path.join(localSessionDir(connection_id), 'Default');
+  const archive = archiver('zip');
+  const chunks = [];
+  archive.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+  for (const dir of SESSION_PROFILE_DIRS) {
+    const source = path.join(profileDir, dir);
+    if (fs.existsSync(source)) archive.directory(source, `Default/${dir}`);
+  }
+  await archive.finalize();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+// Export a session as a zip of its Chromium profile. The zip layout is the one RemoteAuth uses,
+// so an export from one backend can be imported into any other. Returns null if nothing is saved.
+async function exportSession(connection_id) {
+  if (remoteSessionStore) {
+    return remoteSessionStore.read(remoteSessionName(connection_id));
+  }
+  if (!fs.existsSync(localSessionDir(connection_id))) return null;
+  return zipLocalSession(connection_id);
+}
+
+async function importSession(connection_id, data) {
+  if (remoteSessionStore) {
+    await remoteSessionStore.write(remoteSessionName(connection_id), data);
+    return;
+  }
+  // eslint-disable-next-line global-require
+  const unzipper = require('unzipper');
+  const target = localSessionDir(connection_id);
+  // Unpack next to the live profile and swap it in only once the whole archive is extracted.
+  // The staging name doesn't start with `session-`, so listStoredSessions never picks it up.
+  const stamp = `${connection_id}-${Date.now()}`;
+  const staging = path.join(AUTH_PATH, `.import-${stamp}`);
+  const previous = path.join(AUTH_PATH, `.replaced-${stamp}`);
+  try {
+    const directory = await unzipper.Open.buffer(data);
+    for (const entry of directory.files) {
+      const dest = path.resolve(staging, entry.path);
+      const relative = path.relative(staging, dest);
+      // Zip slip: entries like `../../x` or `/etc/x` must stay inside the session directory
+      if (relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+        throw new Error(`Archive entry outside the session directory: ${entry.path}`);
+      }
+      if (entry.type === 'Directory') {
+        await fs.promises.mkdir(dest, { recursive: true });
+        continue;
+      }
+      await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+      await fs.promises.writeFile(dest, await entry.buffer());
+    }
+    await fs.promises.mkdir(staging, { recursive: true });
+    const replacing = fs.existsSync(target);
+    if (replacing) await fs.promises.rename(target, previous);
+    try {
+      await fs.promises.rename(staging, target);
+    } catch (err) {
+      if (replacing) await fs.promises.rename(previous, target);
+      throw err;
+    }
+  } finally {
+    await fs.promises.rm(staging, { recursive: true, force: true });
+    await fs.promises.rm(previous, { recursive: true, force: true });
+  }
+}
+
+// A connection with a live client or a saved login (in the store or as a LocalAuth directory)
+async function hasExistingSession(connection_id) {
+  if (sessions[connection_id]?.client) return true;
+  if (remoteSessionStore) return remoteSessionStore.sessionExists({ session: remoteSessionName(connection_id) });
+  return fs.existsSync(localSessionDir(connection_id));
+}
+
+// Delete the saved login of a connection (store entry and local Chromium profile)
+async function deleteStoredSession(connection_id) {
+  if (remoteSessionStore) {
+    await remoteSessionStore.delete({ session: remoteSessionName(connection_id) });
+    await fs.promises.rm(path.join(AUTH_PATH, remoteSessionName(connection_id)), { recursive: true, force: true });
+    return;
+  }
+  await fs.promises.rm(localSessionDir(connection_id), { recursive: true, force: true });
+}
+
+// Server-Sent Events subscribers: { [connection_id]: Set<{ res, messages }> }
+const streamClients = {};
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Push an event to every open stream of the connection. `messagesOnly` events are only sent to
+// streams opened with ?messages=1.
+function pushStreamEvent(connection_id, event, data, { messagesOnly = false } = {}) {
+  const subscribers = streamClients[connection_id];
+  if (!subscribers) return;
+  const frame = `event: ${event}\ndata: ${JSON.stringify({ connection_id, event, data, timestamp: Date.now() })}\n\n`;
+  for (const subscriber of subscribers) {
+    if (messagesOnly && !subscriber.messages) continue;
+    subscriber.res.write(frame);
+  }
+}
+
+// Pairing codes are valid for a few minutes; after that a new one is requested
+const PAIRING_CODE_TTL_MS = 3 * 60 * 1000;
+
+function clearPairing(session) {
+  session.pairingPhone = null;
+  session.pairingCode = null;
+  session.pairingCodeAt = null;
+}
+
+// Ask WA Web for a phone-number pairing code. Only valid while the client waits for a QR scan.
+async function requestPairingCode(session, connection_id) {
+  try {
+    const code = await withTimeout(
+      session.client.requestPairingCode(session.pairingPhone),
+      30000,
+      'Pairing code request timeout after 30s'
     );
+    session.pairingCode = code;
+    session.pairingCodeAt = Date.now();
+    session.status = 'pairing_pending';
+    session.qr = null;
+    log.info('session.pairing_code', connection_id, `Pairing code generated for ${session.pairingPhone}`);
+    pushStreamEvent(connection_id, 'pairing_code', { status: 'pairing_pending', pairing_code: code });
+    sendStatusCallback(connection_id, 'pairing_pending', null, { pairing_code: code });
+  } catch (err) {
+    log.error('session.pairing_code_failed', connection_id, `Pairing code error: ${err.message}`, { error: err.message });
+  }
+}
+
+// Builds the whatsapp-web.js client of a connection. The test suite swaps it for the fake client
+// in test/fake-client.js, so the bridge can run without Chromium or a phone.
+let createClient = (options) => new Client(options);
+
+function setClientFactory(factory) {
+  createClient = factory;
+}
+
+// Initialize WhatsApp client for a connection. Throws (before anything is persisted) for an id
+// that can't name a session directory; routes turn that into an error response.
+function initClient(connection_id, webhookUrl, token = null) {
+  if (!isValidConnectionId(connection_id)) {
+    throw inputError('VALIDATION_ERROR', 'connection_id may only contain letters, digits, _ and -');
+  }
+  const session = getSession(connection_id);
+
+  bindConnectionToken(connection_id, token);
+  
+  // Store webhook URL for later use (auto-restore)
+  if (webhookUrl) {
+    session.webhookUrl = webhookUrl;
+  }
+  
+  // If already connected or connecting, skip
+  if (session.client && ['connected', 'connecting', 'qr_pending', 'pairing_pending'].includes(session.status)) {
+    log.debug('session.init_skipped', connection_id, `Client already exists with status: ${session.status}`, { status: session.status });
+    saveSessionMeta(connection_id);
+    return session;
+  }
+
+  log.info('session.init', connection_id, 'Initializing new WhatsApp client...');
+
+  const client = createClient({
+    authStrategy: createAuthStrategy(connection_id),
+    puppeteer: {
+      headless: "new",  // Noul mod headless, mai stabil și mai greu de detectat
+      protocolTimeout: 120000,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu',
+        // Anti-detecție
+        '--disable-blink-features=AutomationControlled',
+        '--disable-features=IsolateOrigins,site-per-process',
+        '--disable-web-security',
+        '--disable-extensions',
+        // Performanță
+        '--single-process',
+        '--disable-background-timer-throttling',
+        '--disable-backgrounding-occluded-windows',
+        '--disable-renderer-backgrounding'
+      ]
+    }
+  }, connection_id);
+  // Only once the client exists: a failed start leaves the previous status and config in place.
+  // Starting a client also undoes an intentional disconnect.
+  session.status = 'connecting';
+  session.qr = null;
+  saveSessionMeta(connection_id, { disconnected: false });
+
+  client.on('qr', async (qr) => {
+    log.info('session.qr', connection_id, 'QR code received');
+
+    // A reconnect restores the saved login; asking for a QR means that login is gone
+    if (session.reconnect) {
+      reconnectLoggedOut(connection_id, 'session_invalid');
+      return;
+    }
+
+    // Pairing-code login: WA Web is waiting for a link, ask for a code instead of showing the QR
+    if (session.pairingPhone) {
+      if (!session.pairingCode) await requestPairingCode(session, connection_id);
+      return;
+    }
+
+    try {
+      // Convert QR string to base64 PNG image
+      const qrDataUrl = await QRCode.toDataURL(qr, { width: 256, margin: 2 });
+      session.qr = qrDataUrl;
+      session.status = 'qr_pending';
+      metrics.qrGenerated.inc({ connection_id });
+      pushStreamEvent(connection_id, 'qr', { status: 'qr_pending', qr: qrDataUrl });
+      // Notify backend about QR pending status
+      sendStatusCallback(connection_id, 'qr_pending');
+    } catch (err) {
+      log.error('session.qr_failed', connection_id, `QR generation error: ${err.message}`, errorFields(err));
+    }
+  });
+
+  client.on('ready', async () => {
+    log.info('session.ready', connection_id, 'WhatsApp client ready!');
+    session.status = 'connected';
+    session.connectedAt = Date.now();
+    session.qr = null;
+    clearPairing(session);
+    pushStreamEvent(connection_id, 'ready', { status: 'connected', phone_number: client.info?.wid?.user || null });
+
+    // Apply runtime patches as soon as the page is ready.
+    await applyRuntimePatches(client, connection_id);
     
-    const state = await Promise.race([statePromise, timeoutPromise]);
-    console.log(`[${connId}] Real state check: ${state}`);
+    // Report which supervisor attempt brought the session back
+    const reconnectExtra = session.reconnect ? { reconnect_attempt: session.reconnect.attempt } : {};
+    if (session.reconnect) {
+      log.info('reconnect.succeeded', connection_id, `Reconnected on attempt ${session.reconnect.attempt}`);
+      cancelReconnect(session);
+    }
+
+    try {
+      const info = client.info;
+      session.phone = info?.wid?.user || null;
+      saveSessionMeta(connection_id);
+      log.info('session.phone', connection_id, `Connected phone: ${session.phone}`, { phone: session.phone });
+      // IMPORTANT: Send callback to update database
+      sendStatusCallback(connection_id, 'connected', session.phone, reconnectExtra);
+    } catch (e) {
+      log.error('session.phone_failed', connection_id, `Error getting phone info: ${e.message}`, errorFields(e));
+      // Still send connected status even if we couldn't get phone
+      sendStatusCallback(connection_id, 'connected', null, reconnectExtra);
+    }
+
+    // Resume delivery of messages queued while the session was down
+    startQueueWorker(connection_id);
+  });
+
+  client.on('authenticated', () => {
+    log.info('session.authenticated', connection_id, 'Authenticated');
+    session.status = 'connecting';
+    session.qr = null;
+    clearPairing(session);
+    pushStreamEvent(connection_id, 'authenticated', { status: 'connecting' });
+  });
+
+  // RemoteAuth only: the profile backup reached the session store
+  client.on('remote_session_saved', () => {
+    log.info('session.backed_up', connection_id, `Session backed up to ${SESSION_STORE} store`, { store: SESSION_STORE });
+  });
+
+  // Lifecycle events of a client that was already torn down (or replaced) are ignored below
+  client.on('auth_failure', (msg) => {
+    if (session.client !== client) return;
+    log.error('session.auth_failure', connection_id, `Auth failure: ${msg}`, { reason: msg });
+    if (session.reconnect) {
+      reconnectLoggedOut(connection_id, 'auth_failure');
+      return;
+    }
+    session.status = 'disconnected';
+    session.qr = null;
+    teardownClient(session, connection_id);
+    pushStreamEvent(connection_id, 'auth_failure', { status: 'disconnected', reason: msg });
+    sendStatusCallback(connection_id, 'disconnected');
+  });
+
+  client.on('disconnected', (reason) => {
+    if (session.client !== client) return;
+    log.warn('session.disconnected', connection_id, `Disconnected: ${reason}`, { reason });
+    clearPairing(session);
+    pushStreamEvent(connection_id, 'disconnected', { status: 'disconnected', reason });
+    handleSessionLost(connection_id, reason);
+  });
+
+  // NEW: Listen for state changes to detect session invalidation
+  client.on('change_state', (state) => {
+    log.info('session.state_changed', connection_id, `State changed to: ${state}`, { state });
+    pushStreamEvent(connection_id, 'change_state', { state });
+    if (session.client !== client) return;
+    if (state === 'CONFLICT' || state === 'UNLAUNCHED' || state === 'UNPAIRED') {
+      log.warn('session.invalidated', connection_id, 'Session invalidated, marking as disconnected', { state });
+      handleSessionLost(connection_id, state);
+    }
+  });
+
+  // Handle incoming messages -> forward to webhook
+  client.on('message', async (message) => {
+    session.lastUsedAt = Date.now();
+    log.info('message.received', connection_id, `Message from ${message.from}: ${message.body?.substring(0, 50)}...`, { from: message.from, type: message.type });
+    pushStreamEvent(connection_id, 'message', serializeMessage(message), { messagesOnly: true });
     
-    if (state !== 'CONNECTED') {
-      // Update session status to reflect reality
-      session.status = 'disconnected';
-      sendStatusCallback(connId, 'disconnected');
-      return { connected: false, reason: `state_${state}`, state };
+    if (isWebhookSubscribed(session, 'message')) {
+      const data = serializeMessage(message);
+      if (message.hasMedia) {
+        data.media = await fetchIncomingMedia(connection_id, message);
+      }
+      await postWebhook(session, connection_id, 'message', data);
+    }
+  });
+
+  // Delivery / read receipts for messages we sent
+  client.on('message_ack', async (message, ack) => {
+    const ackStatus = ACK_STATUSES[ack] || 'unknown';
+    log.debug('message.ack', connection_id, `Ack for ${message.id?.id}: ${ackStatus}`, { message_id: message.id?.id || null, ack: ackStatus });
+    await postWebhook(session, connection_id, 'message_ack', {
+      message_id: message.id?.id || null,
+      serialized_id: message.id?._serialized || null,
+      chat_id: message.to,
+      ack,
+      status: ackStatus,
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+  });
+
+  // Messages sent from the phone itself (or any other linked device, including this bridge)
+  client.on('message_create', async (message) => {
+    if (!message.fromMe) return;
+    await postWebhook(session, connection_id, 'message_sent', serializeMessage(message));
+  });
+
+  client.on('message_edit', async (message, newBody, prevBody) => {
+    await postWebhook(session, connection_id, 'message_edit', {
+      ...serializeMessage(message),
+      body: newBody,
+      previous_body: prevBody
+    });
+  });
+
+  client.on('message_revoke_everyone', async (message, revokedMessage) => {
+    await postWebhook(session, connection_id, 'message_revoked', {
+      ...serializeMessage(message),
+      revoked_message: revokedMessage ? serializeMessage(revokedMessage) : null
+    });
+  });
+
+  client.on('message_reaction', async (reaction) => {
+    await postWebhook(session, connection_id, 'message_reaction', {
+      reaction_id: reaction.id?._serialized || null,
+      message_id: reaction.msgId?.id || null,
+      serialized_id: reaction.msgId?._serialized || null,
+      chat_id: reaction.msgId?.remote || null,
+      sender_id: reaction.senderId,
+      reaction: reaction.reaction, // empty string when a reaction is removed
+      timestamp: reaction.timestamp
+    });
+  });
+
+  const forwardGroupNotification = (event) => async (notification) => {
+    await postWebhook(session, connection_id, event, {
+      group_id: notification.chatId,
+      author: notification.author || null,
+      participants: notification.recipientIds || [],
+      type: notification.type,
+      timestamp: notification.timestamp
+    });
+  };
+  client.on('group_join', forwardGroupNotification('group_join'));
+  client.on('group_leave', forwardGroupNotification('group_leave'));
+
+  client.on('vote_update', async (vote) => {
+    await postWebhook(session, connection_id, 'poll_vote', {
+      poll_message_id: vote.parentMessage?.id?.id || null,
+      poll_serialized_id: vote.parentMessage?.id?._serialized || null,
+      chat_id: vote.parentMessage?.id?.remote || null,
+      voter: vote.voter,
+      selected_options: (vote.selectedOptions || []).map(option => option.name),
+      timestamp: vote.interractedAtTs ? Math.floor(vote.interractedAtTs / 1000) : null
+    });
+  });
+
+  client.on('call', async (call) => {
+    log.info('call.received', connection_id, `Incoming ${call.isVideo ? 'video' : 'voice'} call from ${call.from}`, { from: call.from, is_video: !!call.isVideo });
+    await postWebhook(session, connection_id, 'call', {
+      call_id: call.id,
+      from: call.from,
+      is_video: !!call.isVideo,
+      is_group: !!call.isGroup,
+      participants: call.participants || [],
+      timestamp: call.timestamp
+    });
+  });
+
+  client.initialize().catch(err => {
+    log.error('session.init_failed', connection_id, `Client init error: ${err.message}`, { error: err.message, stack: err.stack });
+    if (session.client !== client) return;
+    if (session.reconnect) {
+      reconnectAttemptFailed(connection_id, err.message);
+      return;
+    }
+    session.status = 'disconnected';
+    teardownClient(session, connection_id);
+    sendStatusCallback(connection_id, 'disconnected');
+  });
+
+  session.client = client;
+  return session;
+}
+
+const RESTORE_RETRY_MS = 30 * 1000;
+
+// NEW: Restore saved sessions on server startup
+async function restoreSessions() {
+  try {
+    let connectionIds;
+    try {
+      connectionIds = await listStoredSessions();
+    } catch (err) {
+      // The session store is unreachable (e.g. the database is still starting): try again later
+      log.error('restore.failed', null, `Cannot list saved sessions, retrying in ${RESTORE_RETRY_MS / 1000}s: ${err.message}`, errorFields(err));
+      setTimeout(() => {
+        if (!shuttingDown) restoreSessions();
+      }, RESTORE_RETRY_MS).unref();
+      return;
+    }
+    
+    if (connectionIds.length === 0) {
+      log.info('restore.none', null, 'No saved sessions to restore');
+      return;
+    }
+
+    log.info('restore.start', null, `Found ${connectionIds.length} saved session(s) to restore`, { count: connectionIds.length });
+    
+    for (const [index, connectionId] of connectionIds.entries()) {
+      if (getConnectionConfig(connectionId)?.disconnected) {
+        log.info('restore.skipped', connectionId, 'Disconnected on purpose, saved session not restored', { reason: 'disconnected' });
+        continue;
+      }
+      // Sessions beyond the pool limit stay on disk and start on their first send / status call
+      if (!hasClientCapacity(connectionId)) {
+        getSession(connectionId).status = 'hibernated';
+        log.info('restore.skipped', connectionId, 'Pool full, saved session left hibernated', { reason: 'capacity' });
+        continue;
+      }
+      log.info('restore.session', connectionId, 'Attempting to restore saved session...');
+      
+      // Initialize client which will use the configured auth strategy to restore the session.
+      // Webhook URL, events and phone come back from the persisted session metadata (getSession).
+      try {
+        initClient(connectionId, null);
+      } catch (err) {
+        log.error('restore.failed', connectionId, `Restore error: ${err.message}`, errorFields(err));
+        continue;
+      }
+      
+      // Delay uman mai mare între inițializări pentru a evita detecția
+      if (index < connectionIds.length - 1) await humanDelay(3000, 5000);
+    }
+  } catch (err) {
+    log.error('restore.failed', null, `Error restoring sessions: ${err.message}`, errorFields(err));
+  }
+}
+
+// Reconnect supervisor. A session that drops for a transient reason (keep-alive failure, browser
+// crash, navigation) is torn down and started again from its saved auth, with exponential backoff.
+// Logouts are not retried: the device has to be linked again with a new QR scan.
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS || '8', 10);
+const RECONNECT_BASE_MS = parseInt(process.env.RECONNECT_BASE_MS || '5000', 10);
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000;
+// An attempt that hasn't reached `ready` after this long counts as failed
+const RECONNECT_READY_TIMEOUT_MS = 90000;
+// Disconnect reasons / WA states meaning the device was unlinked or opened elsewhere
+const LOGOUT_REASONS = ['UNPAIRED', 'UNPAIRED_IDLE', 'CONFLICT', 'LOGOUT'];
+
+function isLogoutReason(reason) {
+  return LOGOUT_REASONS.includes(String(reason).toUpperCase());
+}
+
+// getState() values that mean the session is gone: logged out / taken over by another device, or
+// a WA Web version that no longer works. null, OPENING, PAIRING and TIMEOUT are transient.
+const SESSION_LOST_STATES = ['UNPAIRED', 'UNPAIRED_IDLE', 'CONFLICT', 'DEPRECATED_VERSION'];
+
+// Destroy the session's browser without waiting forever on a hung Chromium. Never throws.
+async function teardownClient(session, connId) {
+  const { client } = session;
+  session.client = null;
+  session.qr = null;
+  session.connectedAt = null;
+  if (!client) return;
+  try {
+    await withTimeout(client.destroy(), 15000, 'Destroy client timeout after 15s');
+  } catch (err) {
+    log.warn('session.destroy_failed', connId, `Error destroying client: ${err.message}`, { error: err.message });
+  }
+}
+
+function cancelReconnect(session) {
+  if (!session.reconnect) return;
+  clearTimeout(session.reconnect.timer);
+  clearTimeout(session.reconnect.readyTimer);
+  session.reconnect = null;
+}
+
+// A live session dropped: tear the client down, then either report the logout or schedule a reconnect
+async function handleSessionLost(connId, reason) {
+  const session = getSession(connId);
+  const loggedOut = isLogoutReason(reason);
+  session.status = 'disconnected';
+  if (loggedOut) {
+    cancelReconnect(session);
+    session.phone = null;
+    saveSessionMeta(connId);
+  }
+  await teardownClient(session, connId);
+
+  log.warn(loggedOut ? 'session.logged_out' : 'session.lost', connId,
+    `Session lost (${reason})${loggedOut ? ', logged out' : ', will reconnect'}`, { reason });
+  sendStatusCallback(connId, 'disconnected', loggedOut ? null : session.phone, {
+    reason,
+    logged_out: loggedOut,
+    will_reconnect: !loggedOut
+  });
+  if (!loggedOut) scheduleReconnect(connId, reason);
+}
+
+function reconnectDelayMs(attempt) {
+  return Math.min(RECONNECT_BASE_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+}
+
+function scheduleReconnect(connId, reason) {
+  const session = getSession(connId);
+  if (session.reconnect?.timer) return; // already waiting for the next attempt
+  const attempt = (session.reconnect?.attempt || 0) + 1;
+  const delayMs = reconnectDelayMs(attempt);
+  session.reconnect = {
+    attempt,
+    reason,
+    timer: setTimeout(() => runReconnectAttempt(connId), delayMs),
+    readyTimer: null
+  };
+  log.info('reconnect.scheduled', connId, `Reconnect attempt ${attempt}/${RECONNECT_MAX_ATTEMPTS} in ${delayMs}ms`, { attempt, delay_ms: delayMs });
+}
+
+async function runReconnectAttempt(connId) {
+  const session = getSession(connId);
+  const { reconnect } = session;
+  if (!reconnect) return;
+  reconnect.timer = null;
+
+  const stored = await listStoredSessions().catch(() => []);
+  if (session.reconnect !== reconnect) return;
+  if (!stored.includes(connId)) {
+    reconnectLoggedOut(connId, 'no_saved_session');
+    return;
+  }
+  // Pool full: try again later without using up the attempt, a slot frees up eventually
+  if (!hasClientCapacity(connId)) {
+    const delayMs = reconnectDelayMs(reconnect.attempt);
+    reconnect.timer = setTimeout(() => runReconnectAttempt(connId), delayMs);
+    log.info('reconnect.postponed', connId, `Pool full, reconnect attempt ${reconnect.attempt} postponed by ${delayMs}ms`, {
+      attempt: reconnect.attempt, delay_ms: delayMs
+    });
+    return;
+  }
+
+  log.info('reconnect.attempt', connId, `Reconnect attempt ${reconnect.attempt}/${RECONNECT_MAX_ATTEMPTS}`, { attempt: reconnect.attempt });
+  sendStatusCallback(connId, 'reconnecting', null, {
+    attempt: reconnect.attempt,
+    max_attempts: RECONNECT_MAX_ATTEMPTS,
+    reason: reconnect.reason
+  });
+  reconnect.readyTimer = setTimeout(() => {
+    reconnectAttemptFailed(connId, `Not ready after ${RECONNECT_READY_TIMEOUT_MS / 1000}s`);
+  }, RECONNECT_READY_TIMEOUT_MS);
+  try {
+    initClient(connId, session.webhookUrl);
+  } catch (err) {
+    reconnectAttemptFailed(connId, err.message);
+  }
+}
+
+async function reconnectAttemptFailed(connId, error) {
+  const session = getSession(connId);
+  const { reconnect } = session;
+  if (!reconnect) return;
+  clearTimeout(reconnect.readyTimer);
+  // /api/status may have confirmed the connection before `ready` fired
+  if (session.status === 'connected' && session.client) {
+    cancelReconnect(session);
+    return;
+  }
+
+  session.status = 'disconnected';
+  await teardownClient(session, connId);
+  const willRetry = reconnect.attempt < RECONNECT_MAX_ATTEMPTS;
+  log.warn('reconnect.failed', connId, `Reconnect attempt ${reconnect.attempt} failed: ${error}`, {
+    attempt: reconnect.attempt, error, will_retry: willRetry
+  });
+  sendStatusCallback(connId, 'reconnect_failed', null, {
+    attempt: reconnect.attempt,
+    max_attempts: RECONNECT_MAX_ATTEMPTS,
+    error,
+    will_retry: willRetry
+  });
+  if (session.reconnect !== reconnect) return;
+  if (willRetry) {
+    scheduleReconnect(connId, reconnect.reason);
+  } else {
+    cancelReconnect(session);
+  }
+}
+
+// The saved login can't be restored (QR requested, auth failure, nothing on disk): stop retrying
+async function reconnectLoggedOut(connId, reason) {
+  const session = getSession(connId);
+  const attempt = session.reconnect?.attempt || null;
+  cancelReconnect(session);
+  session.status = 'disconnected';
+  session.phone = null;
+  saveSessionMeta(connId);
+  await teardownClient(session, connId);
+  log.warn('reconnect.failed', connId, `Reconnect stopped: ${reason}`, { attempt, error: reason, will_retry: false });
+  sendStatusCallback(connId, 'reconnect_failed', null, {
+    attempt,
+    max_attempts: RECONNECT_MAX_ATTEMPTS,
+    error: reason,
+    will_retry: false,
+    logged_out: true
+  });
+}
+
+// Session pool. MAX_LIVE_CLIENTS caps the number of running Chromium instances (0 = no limit).
+// With SESSION_HIBERNATE_AFTER_MS set, connected sessions idle for that long are hibernated: the
+// browser is closed, the login stays saved, and the next send / status call wakes the session.
+const MAX_LIVE_CLIENTS = parseInt(process.env.MAX_LIVE_CLIENTS || '0', 10);
+const SESSION_HIBERNATE_AFTER_MS = parseInt(process.env.SESSION_HIBERNATE_AFTER_MS || '0', 10);
+const SESSION_WAKE_TIMEOUT_MS = parseInt(process.env.SESSION_WAKE_TIMEOUT_MS || '60000', 10);
+
+function liveClientCount() {
+  return Object.values(sessions).filter(session => session.client).length;
+}
+
+// Whether the connection may start a client. Connections that already run one always may.
+function hasClientCapacity(connId) {
+  return !MAX_LIVE_CLIENTS || !!sessions[connId]?.client || liveClientCount() < MAX_LIVE_CLIENTS;
+}
+
+function sendCapacityError(res, connId) {
+  const liveClients = liveClientCount();
+  log.warn('pool.capacity', connId, `Rejected: ${liveClients}/${MAX_LIVE_CLIENTS} live clients`, { live_clients: liveClients });
+  return sendError(res, 'CAPACITY', `Bridge at capacity (${MAX_LIVE_CLIENTS} live clients). Try again later.`, {
+    live_clients: liveClients,
+    max_live_clients: MAX_LIVE_CLIENTS
+  });
+}
+
+// Remember when each connection was last used through the API
+app.use('/api', (req, res, next) => {
+  const connId = requestConnectionId(req);
+  if (connId && sessions[connId]) sessions[connId].lastUsedAt = Date.now();
+  next();
+});
+
+// Queued messages, running campaigns and open streams keep a session awake
+function hasPendingWork(connId) {
+  return Object.values(queueJobs).some(job => job.connectionId === connId && ['queued', 'sending'].includes(job.status))
+    || Object.values(campaignState.campaigns).some(campaign => campaign.connectionId === connId && campaign.status === 'running')
+    || streamClients[connId]?.size > 0;
+}
+
+async function hibernateSession(connId) {
+  const session = getSession(connId);
+  await teardownClient(session, connId);
+  session.status = 'hibernated';
+  log.info('session.hibernated', connId, `Hibernated after ${Math.round((Date.now() - session.lastUsedAt) / 1000)}s idle`);
+  sendStatusCallback(connId, 'hibernated', session.phone);
+}
+
+// Start the client of a hibernated session from its saved login. With `wait`, resolves once it is
+// connected or SESSION_WAKE_TIMEOUT_MS passed. Resolves false when the pool has no room for it;
+// a client that fails to start leaves the session hibernated.
+async function wakeSession(connId, { wait = true } = {}) {
+  const session = getSession(connId);
+  if (session.status === 'hibernated') {
+    if (!hasClientCapacity(connId)) return false;
+    log.info('session.waking', connId, 'Waking hibernated session');
+    try {
+      initClient(connId, session.webhookUrl);
+    } catch (err) {
+      log.error('session.wake_failed', connId, `Wake failed: ${err.message}`, { error: err.message });
+      return true;
+    }
+  }
+  if (!wait) return true;
+  const deadline = Date.now() + SESSION_WAKE_TIMEOUT_MS;
+  while (session.status === 'connecting' && Date.now() < deadline) {
+    await sleep(500);
+  }
+  return true;
+}
+
+// NEW: Helper function to verify real connection state with timeout
+async function verifyConnectionState(session, connId, timeoutMs = 5000) {
+  if (!session.client) {
+    return { connected: false, reason: 'no_client' };
+  }
+  
+  try {
+    // Add timeout to getState() call
+    const statePromise = session.client.getState();
+    const timeoutPromise = new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('State check timeout')), timeoutMs)
+    );
+    
+    const state = await Promise.race([statePromise, timeoutPromise]);
+    log.debug('session.state_check', connId, `Real state check: ${state}`, { state });
+    
+    if (state !== 'CONNECTED') {
+      // Update session status to reflect reality; a transient state leaves the client running
+      if (SESSION_LOST_STATES.includes(state)) handleSessionLost(connId, state);
+      return { connected: false, reason: `state_${state}`, state };
+    }
+    
+    return { connected: true, state };
+  } catch (err) {
+    log.warn('session.state_check_failed', connId, `State check failed: ${err.message}`, { error: err.message });
+    // IMPORTANT: don't destroy the session on transient failures/timeouts.
+    // This was causing "connected" devices to be shown as disconnected.
+    return { connected: false, reason: 'state_check_error', error: err.message };
+  }
+}
+
+// Format number: ensure @c.us suffix (full WhatsApp ids are kept as they are).
+// Bare group ids get @g.us: `120363025246125486` (17+ digits, longer than any phone number)
+// or the legacy `<creator phone>-<unix timestamp>` form.
+function toChatId(value) {
+  const id = String(value).trim();
+  if (id.includes('@')) return id;
+  if (/^\d{17,}$/.test(id) || /^\d{8,15}-\d{10}$/.test(id)) return `${id}@g.us`;
+  return `${id.replace(/[^0-9]/g, '')}@c.us`;
+}
+
+function toGroupId(value) {
+  const id = String(value).trim();
+  return id.includes('@') ? id : `${id}@g.us`;
+}
+
+// Validate a `default_country` field (ISO 3166 alpha-2, e.g. RO). Falls back to the connection's
+// default set on get-qr / get-pairing-code. Returns { country } (null when none) or { error }.
+function resolveDefaultCountry(connId, value) {
+  if (value === undefined || value === null || value === '') {
+    return { country: getConnectionConfig(connId)?.defaultCountry || null };
+  }
+  const country = String(value).toUpperCase();
+  if (!isSupportedCountry(country)) {
+    return { error: `Unknown default_country: ${value}. Use an ISO 3166 alpha-2 code, e.g. RO` };
+  }
+  return { country };
+}
+
+function parsePhone(value, defaultCountry) {
+  // `0040...` is the international prefix in most of Europe
+  const raw = String(value).trim().replace(/^00/, '+');
+  const attempts = raw.startsWith('+') ? [[raw]] : [[raw, defaultCountry], [`+${raw}`]];
+  for (const [text, country] of attempts) {
+    if (!country && !text.startsWith('+')) continue;
+    const phone = parsePhoneNumberFromString(text, country || undefined);
+    if (phone?.isValid()) return phone;
+  }
+  return null;
+}
+
+// Normalize a recipient to its WhatsApp id plus the E.164 / national forms of the number.
+// Local numbers (0712 345 678) need a default country; international ones work without it.
+// Group ids and full WhatsApp ids are passed through. Returns { recipient } or { error }.
+function normalizeRecipient(value, defaultCountry) {
+  const id = String(value).trim();
+  const isWhatsAppId = id.includes('@') || /^\d{17,}$/.test(id) || /^\d{8,15}-\d{10}$/.test(id);
+  const phone = isWhatsAppId
+    ? (id.endsWith('@c.us') ? parsePhone(`+${id.split('@')[0]}`) : null)
+    : parsePhone(id, defaultCountry);
+  if (!isWhatsAppId && !phone) {
+    return {
+      error: defaultCountry
+        ? `Invalid phone number: ${value} (default country ${defaultCountry})`
+        : `Invalid phone number: ${value}. Use international format (e.g. +40712345678) or set default_country`
+    };
+  }
+  return {
+    recipient: {
+      jid: phone ? `${phone.number.slice(1)}@c.us` : toChatId(id),
+      e164: phone ? phone.number : null,
+      national: phone ? phone.formatNational() : null,
+      country: phone?.country || null
+    }
+  };
+}
+
+// Route helper: normalize `value` with the request's / connection's default country.
+// Sends the 400 and returns null when the country or the number is invalid.
+function requireRecipient(res, connId, value, defaultCountry) {
+  const { country, error: countryError } = resolveDefaultCountry(connId, defaultCountry);
+  if (countryError) {
+    sendError(res, 'VALIDATION_ERROR', countryError);
+    return null;
+  }
+  const { recipient, error } = normalizeRecipient(value, country);
+  if (error) {
+    sendError(res, 'INVALID_NUMBER', error, { number: value });
+    return null;
+  }
+  return recipient;
+}
+
+function sendNotConnected(res, session) {
+  return sendError(res, 'NOT_CONNECTED', 'Connection not connected', { status: session.status, needs_reconnect: true });
+}
+
+function sendSessionExpired(res, stateCheck) {
+  return sendError(res, 'SESSION_EXPIRED', 'WhatsApp session expired. Please reconnect.', {
+    status: 'disconnected',
+    reason: stateCheck.reason,
+    needs_reconnect: true
+  });
+}
+
+// Shared guard for routes that need a live client: same checks as /api/send-message.
+// Sends the error response and returns null when the session can't be used.
+async function getConnectedSession(connId, res) {
+  const session = getSession(connId);
+  if (!(await wakeSession(connId))) {
+    sendCapacityError(res, connId);
+    return null;
+  }
+
+  if (!session.client || session.status !== 'connected') {
+    log.info('session.not_connected', connId, `Basic check failed: client=${!!session.client}, status=${session.status}`, { status: session.status });
+    sendNotConnected(res, session);
+    return null;
+  }
+
+  const stateCheck = await verifyConnectionState(session, connId, 3000);
+  if (!stateCheck.connected) {
+    log.info('session.state_check_failed', connId, `State check failed: ${stateCheck.reason}`, { reason: stateCheck.reason });
+    sendSessionExpired(res, stateCheck);
+    return null;
+  }
+
+  return session;
+}
+
+// Message types accepted by /api/send-message that carry a media attachment
+const MEDIA_MESSAGE_TYPES = ['image', 'document', 'audio', 'video', 'sticker'];
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(message);
+      err.isTimeout = true;
+      reject(err);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+// Build a MessageMedia from a data URL, a http(s) URL fetched by the bridge, or raw base64 (needs mimetype)
+async function buildMessageMedia({ media, mimetype, filename }) {
+  if (typeof media !== 'string' || !media.trim()) {
+    throw new Error('media must be a base64 string, a data URL or a http(s) URL');
+  }
+  const input = media.trim();
+
+  const dataUrlMatch = input.match(/^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s);
+  if (dataUrlMatch) {
+    return new MessageMedia(mimetype || dataUrlMatch[1], dataUrlMatch[2], filename || null);
+  }
+
+  if (/^https?:\/\//i.test(input)) {
+    const fetched = await withTimeout(
+      MessageMedia.fromUrl(input, { unsafeMime: true, filename: filename || undefined }),
+      30000,
+      'Media download timeout after 30s'
+    );
+    if (mimetype) fetched.mimetype = mimetype;
+    if (filename) fetched.filename = filename;
+    return fetched;
+  }
+
+  if (!mimetype) {
+    throw new Error('mimetype required when media is raw base64');
+  }
+  return new MessageMedia(mimetype, input.replace(/\s/g, ''), filename || null);
+}
+
+// OpenAPI document and request validation. The spec is built on first use, once every constant it
+// lists (message types, chat actions, ...) is initialized.
+let openApi = null;
+
+function getOpenApi() {
+  if (openApi) return openApi;
+  const spec = buildOpenApiSpec({
+    version: require('./package.json').version, // eslint-disable-line global-require
+    errorCodes: Object.keys(ERROR_STATUS),
+    webhookEvents: WEBHOOK_EVENTS,
+    messageTypes: ['text', ...MEDIA_MESSAGE_TYPES, ...SPECIAL_MESSAGE_TYPES],
+    presenceTypes: PRESENCE_TYPES,
+    chatActions: CHAT_ACTIONS,
+    participantActions: Object.keys(GROUP_PARTICIPANT_ACTIONS),
+    scheduleRepeats: Object.keys(SCHEDULE_REPEATS),
+    campaignActions: Object.keys(CAMPAIGN_TRANSITIONS)
+  });
+  const ajv = new Ajv2020({ allErrors: true, strict: false });
+  const validators = [];
+  for (const [route, operations] of Object.entries(spec.paths)) {
+    const pattern = new RegExp(`^${route.replace(/\{[^}]+\}/g, '[^/]+')}$`);
+    for (const [method, operation] of Object.entries(operations)) {
+      const schema = operation.requestBody?.content['application/json'].schema;
+      if (schema) validators.push({ method: method.toUpperCase(), pattern, validate: ajv.compile(schema) });
+    }
+  }
+  openApi = { spec, validators };
+  return openApi;
+}
+
+// Reject bodies that don't match the route's schema. Runs at the end of requireConnectionToken /
+// requireAdminKey, so callers only learn about the schema once they are authenticated.
+function validateBody(req, res, next) {
+  const validator = getOpenApi().validators.find(v => v.method === req.method && v.pattern.test(req.path));
+  if (!validator || validator.validate(req.body ?? {})) return next();
+  // The connection_id / instance_id alternatives are reported once, as the anyOf failure
+  const errors = validator.validate.errors.filter(err => !err.schemaPath.startsWith('#/anyOf/'));
+  const details = errors.map(err => ({
+    path: err.instancePath || '/',
+    message: err.keyword === 'anyOf' && err.instancePath === '' ? 'connection_id required' : err.message
+  }));
+  sendError(res, 'VALIDATION_ERROR', `Invalid request body: ${details.map(d => `${d.path} ${d.message}`).join('; ')}`, { details });
+}
+
+app.get('/openapi.json', (req, res) => {
+  res.json(getOpenApi().spec);
+});
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', sessions: Object.keys(sessions).length });
+});
+
+// Prometheus scrape endpoint. Protected by the admin key when one is configured.
+app.get('/metrics', async (req, res) => {
+  if (!METRICS_PUBLIC) {
+    if (!ADMIN_API_KEY) {
+      return sendError(res, 'METRICS_DISABLED', 'Metrics disabled: set ADMIN_API_KEY or METRICS_PUBLIC=true');
+    }
+    if (!isAdminRequest(req)) {
+      return sendError(res, 'UNAUTHORIZED', 'Admin key required');
+    }
+  }
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// Get QR code for connection
+app.post('/api/get-qr', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, token, webhook_url, webhook_events, webhook_secret, default_country } = req.body;
+  const connId = connection_id || instance_id; // Support both for backwards compatibility
+  
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+  const { events, error: eventsError } = parseWebhookEvents(webhook_events);
+  if (eventsError) {
+    return sendError(res, 'VALIDATION_ERROR', eventsError);
+  }
+  const { country, error: countryError } = resolveDefaultCountry(connId, default_country);
+  if (countryError) {
+    return sendError(res, 'VALIDATION_ERROR', countryError);
+  }
+
+  log.info('request.get_qr', connId, 'GET-QR request');
+  if (!hasClientCapacity(connId)) {
+    return sendCapacityError(res, connId);
+  }
+  
+  let session;
+  try {
+    session = initClient(connId, webhook_url, token);
+  } catch (err) {
+    log.error('session.init_failed', connId, `Client init error: ${err.message}`, errorFields(err));
+    return sendServerError(res, err);
+  }
+  if (events) {
+    session.webhookEvents = events;
+    saveSessionMeta(connId);
+  }
+  if (webhook_secret) {
+    updateConnectionConfig(connId, { webhookSecret: webhook_secret });
+  }
+  if (default_country) {
+    updateConnectionConfig(connId, { defaultCountry: country });
+  }
+  // Asking for a QR cancels a pending pairing-code login; the next QR rotation is shown again
+  if (session.pairingPhone) {
+    clearPairing(session);
+    if (session.status === 'pairing_pending') session.status = 'connecting';
+  }
+
+  // If already connected
+  if (session.status === 'connected') {
+    return res.json({ 
+      status: 'connected', 
+      phone_number: session.phone 
+    });
+  }
+
+  // If QR is ready
+  if (session.qr) {
+    return res.json({ 
+      qr: session.qr, 
+      status: 'qr_pending' 
+    });
+  }
+
+  // Still initializing/waiting for QR
+  return res.json({ status: 'pending' });
+});
+
+// Get a pairing code to link by phone number instead of scanning the QR
+app.post('/api/get-pairing-code', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, token, phone_number, webhook_url, webhook_events, webhook_secret, default_country } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId || !phone_number) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id and phone_number required');
+  }
+  const { events, error: eventsError } = parseWebhookEvents(webhook_events);
+  if (eventsError) {
+    return sendError(res, 'VALIDATION_ERROR', eventsError);
+  }
+  const { country, error: countryError } = resolveDefaultCountry(connId, default_country);
+  if (countryError) {
+    return sendError(res, 'VALIDATION_ERROR', countryError);
+  }
+  // WhatsApp wants the international number, digits only (e.g. 40712345678)
+  const parsedPhone = parsePhone(phone_number, country);
+  if (!parsedPhone) {
+    return sendError(res, 'INVALID_NUMBER', `Invalid phone_number: ${phone_number}. Use international format (e.g. +40712345678) or set default_country`);
+  }
+  const phone = parsedPhone.number.slice(1);
+
+  log.info('request.get_pairing_code', connId, `GET-PAIRING-CODE request for ${phone}`);
+  if (!hasClientCapacity(connId)) {
+    return sendCapacityError(res, connId);
+  }
+
+  const session = getSession(connId);
+  const codeExpired = session.pairingCodeAt && Date.now() - session.pairingCodeAt > PAIRING_CODE_TTL_MS;
+  if (session.pairingPhone !== phone || codeExpired) {
+    clearPairing(session);
+    session.pairingPhone = phone;
+  }
+
+  try {
+    initClient(connId, webhook_url, token);
+  } catch (err) {
+    log.error('session.init_failed', connId, `Client init error: ${err.message}`, errorFields(err));
+    return sendServerError(res, err);
+  }
+  if (events) {
+    session.webhookEvents = events;
+    saveSessionMeta(connId);
+  }
+  if (webhook_secret) {
+    updateConnectionConfig(connId, { webhookSecret: webhook_secret });
+  }
+  if (default_country) {
+    updateConnectionConfig(connId, { defaultCountry: country });
+  }
+
+  if (session.status === 'connected') {
+    clearPairing(session);
+    return res.json({
+      status: 'connected',
+      phone_number: session.phone
+    });
+  }
+
+  // The client is already showing a QR: request the code right away instead of waiting for a rotation
+  if (!session.pairingCode && session.client && ['qr_pending', 'pairing_pending'].includes(session.status)) {
+    await requestPairingCode(session, connId);
+  }
+
+  if (session.pairingCode) {
+    return res.json({
+      pairing_code: session.pairingCode,
+      status: 'pairing_pending'
+    });
+  }
+
+  // Still initializing/waiting for WA Web to accept a link
+  return res.json({ status: 'pending' });
+});
+
+// Stream QR rotations and status transitions (and optionally inbound messages) as Server-Sent Events.
+// EventSource can't send headers, so connection_id / token come from the query string.
+app.get('/api/stream', requireConnectionToken, (req, res) => {
+  const connId = req.connectionId;
+
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+
+  const session = getSession(connId);
+  const subscriber = { res, messages: ['1', 'true'].includes(String(req.query.messages)) };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let proxies buffer the stream
+  });
+
+  if (!streamClients[connId]) streamClients[connId] = new Set();
+  streamClients[connId].add(subscriber);
+  log.info('stream.opened', connId, `Stream opened (${streamClients[connId].size} open)`, { open: streamClients[connId].size });
+
+  // Current snapshot first, so the UI doesn't have to poll once before listening
+  res.write(`event: status\ndata: ${JSON.stringify({
+    connection_id: connId,
+    event: 'status',
+    data: {
+      status: session.status,
+      phone_number: session.phone,
+      qr: session.qr,
+      pairing_code: session.pairingCode
+    },
+    timestamp: Date.now()
+  })}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streamClients[connId]?.delete(subscriber);
+    if (streamClients[connId]?.size === 0) delete streamClients[connId];
+    log.info('stream.closed', connId, 'Stream closed');
+  });
+});
+
+// Get status
+app.post('/api/status', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id } = req.body;
+  const connId = connection_id || instance_id;
+  
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+
+  const session = getSession(connId);
+
+  // A status call wakes a hibernated session; the caller sees `connecting` until it is ready
+  if (session.status === 'hibernated') {
+    await wakeSession(connId, { wait: false });
+  }
+
+  // Proactive sync: sometimes WA shows the device as linked, but our in-memory status
+  // may stay on "connecting/qr_pending" if the "ready" event didn't fire yet.
+  // If we can confirm CONNECTED state, force-session to connected and notify backend.
+  if (session.client && session.status !== 'connected') {
+    try {
+      const statePromise = session.client.getState();
+      const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('State check timeout')), 4000)
+      );
+      const state = await Promise.race([statePromise, timeoutPromise]);
+      if (state === 'CONNECTED') {
+        session.status = 'connected';
+        session.qr = null;
+        clearPairing(session);
+        try {
+          const info = session.client.info;
+          session.phone = info?.wid?.user || session.phone || null;
+          saveSessionMeta(connId);
+        } catch (e) {
+          // ignore phone extraction issues
+        }
+        sendStatusCallback(connId, 'connected', session.phone);
+      }
+    } catch (e) {
+      // Do not regress status on transient errors/timeouts.
+    }
+  }
+  
+  // If session thinks it's connected, verify real state
+  if (session.status === 'connected' && session.client) {
+    const stateCheck = await verifyConnectionState(session, connId);
+    if (!stateCheck.connected) {
+      return res.json({
+        status: 'disconnected',
+        phone_number: null,
+        has_qr: false,
+        reason: stateCheck.reason
+      });
+    }
+  }
+  
+  res.json({
+    status: session.status,
+    phone_number: session.phone,
+    has_qr: !!session.qr,
+    has_pairing_code: !!session.pairingCode
+  });
+});
+
+// Disconnect connection
+app.post('/api/disconnect', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id } = req.body;
+  const connId = connection_id || instance_id;
+  
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+
+  log.info('request.disconnect', connId, 'Disconnect request');
+  
+  const session = getSession(connId);
+  cancelReconnect(session);
+  
+  // Detach first so the `disconnected` event fired by logout() isn't treated as a dropped session
+  const { client } = session;
+  session.client = null;
+  if (client) {
+    try {
+      await client.logout();
+      await client.destroy();
+    } catch (e) {
+      log.error('session.disconnect_failed', connId, `Disconnect error: ${e.message}`, errorFields(e));
+    }
+  }
+
+  session.qr = null;
+  session.status = 'disconnected';
+  session.phone = null;
+  clearPairing(session);
+  saveSessionMeta(connId, { disconnected: true });
+
+  res.json({ status: 'disconnected' });
+});
+
+// NEW: Reconnect endpoint - force reconnection using saved session
+app.post('/api/reconnect', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, webhook_url, webhook_events, webhook_secret } = req.body;
+  const connId = connection_id || instance_id;
+  
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+  const { events, error: eventsError } = parseWebhookEvents(webhook_events);
+  if (eventsError) {
+    return sendError(res, 'VALIDATION_ERROR', eventsError);
+  }
+
+  log.info('request.reconnect', connId, 'Reconnect request');
+  
+  const session = getSession(connId);
+  cancelReconnect(session);
+  if (!hasClientCapacity(connId)) {
+    return sendCapacityError(res, connId);
+  }
+  
+  // Destroy existing client if any
+  await teardownClient(session, connId);
+  
+  // Reset session state
+  session.status = 'disconnected';
+  
+  // Store webhook URL if provided (persisted by initClient below)
+  if (webhook_url) {
+    session.webhookUrl = webhook_url;
+  }
+  if (events) {
+    session.webhookEvents = events;
+  }
+  if (webhook_secret) {
+    updateConnectionConfig(connId, { webhookSecret: webhook_secret });
+  }
+  
+  // Re-initialize client (will use saved LocalAuth session if available)
+  try {
+    initClient(connId, session.webhookUrl);
+  } catch (err) {
+    log.error('session.init_failed', connId, `Client init error: ${err.message}`, errorFields(err));
+    return sendServerError(res, err);
+  }
+  
+  res.json({ status: 'reconnecting', message: 'Attempting to reconnect...' });
+});
+
+// Export the saved session so it can be imported on another host without rescanning the QR.
+// The client on this host is stopped first: a linked device must only run in one place.
+app.post('/api/session/export', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+
+  log.info('request.session_export', connId, 'Session export request');
+  const session = getSession(connId);
+  cancelReconnect(session);
+  // The session moves to another host: don't bring it back here on the next restart
+  saveSessionMeta(connId, { disconnected: true });
+
+  if (session.client) {
+    await teardownClient(session, connId);
+    session.status = 'disconnected';
+    sendStatusCallback(connId, 'disconnected');
+  }
+
+  try {
+    const data = await exportSession(connId);
+    if (!data) {
+      return sendError(res, 'NOT_FOUND', 'No saved session for this connection');
+    }
+    res.json({
+      connection_id: connId,
+      format: 'zip',
+      size: data.length,
+      data: data.toString('base64')
+    });
+  } catch (err) {
+    log.error('session.export_failed', connId, `Session export error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
+  }
+});
+
+// Import a session exported by /api/session/export and start the client with it
+app.post('/api/session/import', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, token, data, webhook_url } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId || !data) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id and data required');
+  }
+
+  const session = getSession(connId);
+  if (session.client) {
+    return sendError(res, 'CONFLICT', 'Connection already has a running client. Disconnect it before importing.', {
+      status: session.status
+    });
+  }
+
+  log.info('request.session_import', connId, 'Session import request');
+  if (!hasClientCapacity(connId)) {
+    return sendCapacityError(res, connId);
+  }
+  try {
+    await importSession(connId, Buffer.from(data, 'base64'));
+  } catch (err) {
+    log.error('session.import_failed', connId, `Session import error: ${err.message}`, errorFields(err));
+    return sendError(res, 'VALIDATION_ERROR', `Invalid session archive: ${err.message}`);
+  }
+
+  cancelReconnect(session);
+  try {
+    initClient(connId, webhook_url, token);
+  } catch (err) {
+    log.error('session.init_failed', connId, `Client init error: ${err.message}`, errorFields(err));
+    return sendServerError(res, err);
+  }
+  res.json({ status: 'connecting', message: 'Session imported, restoring...' });
+});
+
+// Check if a number has WhatsApp
+app.post('/api/check-number', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, number, default_country } = req.body;
+  const connId = connection_id || instance_id;
+  
+  if (!connId || !number) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id and number required');
+  }
+  const recipient = requireRecipient(res, connId, number, default_country);
+  if (!recipient) return;
+
+  log.info('request.check_number', connId, `Check number: ${number}`);
+  
+  const session = getSession(connId);
+  if (!(await wakeSession(connId))) {
+    return sendCapacityError(res, connId);
+  }
+  
+  // Basic check
+  if (!session.client || session.status !== 'connected') {
+    log.info('session.not_connected', connId, `Check failed: client=${!!session.client}, status=${session.status}`, { status: session.status });
+    return sendNotConnected(res, session);
+  }
+
+  // Verify connection state
+  const stateCheck = await verifyConnectionState(session, connId, 3000);
+  if (!stateCheck.connected) {
+    log.info('session.state_check_failed', connId, `State check failed: ${stateCheck.reason}`, { reason: stateCheck.reason });
+    return sendSessionExpired(res, stateCheck);
+  }
+
+  try {
+    // Check if number is registered on WhatsApp
+    const numberId = await session.client.getNumberId(recipient.jid);
+    
+    if (numberId) {
+      log.debug('number.checked', connId, `Number ${number} has WhatsApp: ${numberId._serialized}`, { exists: true });
+      res.json({
+        exists: true,
+        whatsapp_id: numberId._serialized,
+        number: number,
+        recipient
+      });
+    } else {
+      log.debug('number.checked', connId, `Number ${number} does NOT have WhatsApp`, { exists: false });
+      res.json({
+        exists: false,
+        number: number,
+        recipient
+      });
+    }
+  } catch (err) {
+    log.error('number.check_failed', connId, `Check number error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
+  }
+});
+
+// Bulk number check, resolved one by one with human pacing
+const CHECK_NUMBERS_MAX = 500;
+
+app.post('/api/check-numbers', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, numbers, default_country } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId || !Array.isArray(numbers) || numbers.length === 0) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id and numbers (non-empty array) required');
+  }
+  if (numbers.length > CHECK_NUMBERS_MAX) {
+    return sendError(res, 'VALIDATION_ERROR', `At most ${CHECK_NUMBERS_MAX} numbers per request`);
+  }
+  const { country, error: countryError } = resolveDefaultCountry(connId, default_country);
+  if (countryError) {
+    return sendError(res, 'VALIDATION_ERROR', countryError);
+  }
+
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  log.info('request.check_numbers', connId, `Bulk check of ${numbers.length} number(s)`, { count: numbers.length });
+  const results = [];
+  for (const [index, number] of numbers.entries()) {
+    // Malformed numbers are reported in place without asking WhatsApp
+    const { recipient, error } = normalizeRecipient(number, country);
+    if (error) {
+      results.push({ number, exists: null, whatsapp_id: null, recipient: null, error, code: 'INVALID_NUMBER' });
+      continue;
+    }
+    try {
+      const numberId = await withTimeout(
+        session.client.getNumberId(recipient.jid),
+        10000,
+        'Check number timeout after 10s'
+      );
+      results.push({
+        number,
+        exists: !!numberId,
+        whatsapp_id: numberId ? numberId._serialized : null,
+        recipient
+      });
+    } catch (err) {
+      log.error('number.check_failed', connId, `Bulk check error for ${number}: ${err.message}`, { error: err.message });
+      if (isConnectionLostError(err)) {
+        markConnectionLost(session, connId);
+        return sendError(res, 'CONNECTION_LOST', 'Connection lost during check. Please reconnect.', {
+          needs_reconnect: true,
+          results
+        });
+      }
+      results.push({ number, exists: null, whatsapp_id: null, recipient, error: err.message });
+    }
+    if (index < numbers.length - 1) await humanDelay(150, 400);
+  }
+
+  res.json({
+    total: results.length,
+    registered: results.filter(r => r.exists).length,
+    results
+  });
+});
+
+function serializeContact(contact) {
+  return {
+    id: contact.id?._serialized,
+    number: contact.number || contact.id?.user || null,
+    name: contact.name || null,
+    push_name: contact.pushname || null,
+    short_name: contact.shortName || null,
+    is_business: !!contact.isBusiness,
+    is_my_contact: !!contact.isMyContact,
+    is_blocked: !!contact.isBlocked
+  };
+}
+
+// List / search contacts
+app.post('/api/contacts', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, query, limit, offset, saved_only = true } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  try {
+    const pageSize = clampInt(limit, 100, 1, 500);
+    const start = clampInt(offset, 0, 0, Number.MAX_SAFE_INTEGER);
+    const search = query ? String(query).toLowerCase() : null;
+    const searchDigits = query ? String(query).replace(/[^0-9]/g, '') : '';
+
+    const contacts = (await withTimeout(session.client.getContacts(), 30000, 'Get contacts timeout after 30s'))
+      .filter(contact => !contact.isGroup && contact.id?.server === 'c.us')
+      .filter(contact => !saved_only || contact.isMyContact)
+      .filter(contact => !search
+        || [contact.name, contact.pushname, contact.shortName].some(v => v && v.toLowerCase().includes(search))
+        || (searchDigits && (contact.number || '').includes(searchDigits)))
+      .sort((a, b) => (a.name || a.pushname || '').localeCompare(b.name || b.pushname || ''));
+
+    res.json({
+      total: contacts.length,
+      offset: start,
+      limit: pageSize,
+      contacts: contacts.slice(start, start + pageSize).map(serializeContact)
+    });
+  } catch (err) {
+    log.error('contacts.failed', connId, `Get contacts error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
+  }
+});
+
+// Profile of a single contact: push name, business flag, about, profile picture, blocked
+app.post('/api/contacts/lookup', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, number, contact_id, default_country } = req.body;
+  const connId = connection_id || instance_id;
+  const target = contact_id || number;
+
+  if (!connId || !target) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id and number (or contact_id) required');
+  }
+  const recipient = requireRecipient(res, connId, target, default_country);
+  if (!recipient) return;
+
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  try {
+    const numberId = await withTimeout(session.client.getNumberId(recipient.jid), 10000, 'Check number timeout after 10s');
+    if (!numberId) {
+      return sendError(res, 'NOT_ON_WHATSAPP', 'Number is not on WhatsApp', { exists: false, number: target, recipient });
+    }
+
+    const contact = await withTimeout(session.client.getContactById(numberId._serialized), 15000, 'Get contact timeout after 15s');
+    // Both are best-effort: privacy settings often hide them
+    const [about, profilePicUrl] = await Promise.all([
+      withTimeout(contact.getAbout(), 10000, 'About timeout').catch(() => null),
+      withTimeout(contact.getProfilePicUrl(), 10000, 'Profile picture timeout').catch(() => null)
+    ]);
+
+    res.json({
+      exists: true,
+      whatsapp_id: numberId._serialized,
+      recipient,
+      ...serializeContact(contact),
+      about: about || null,
+      profile_pic_url: profilePicUrl || null
+    });
+  } catch (err) {
+    log.error('contacts.lookup_failed', connId, `Contact lookup error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
+  }
+});
+
+// Message types that are not text or media
+const SPECIAL_MESSAGE_TYPES = ['location', 'contact', 'poll', 'reaction'];
+// Chat presence shown before sending (`presence` option) or via the chat action endpoint
+const PRESENCE_TYPES = ['typing', 'recording'];
+const PRESENCE_MAX_MS = 60000;
+
+// Validate a send-message payload. Returns an error message, or null when the payload is usable.
+function validateSendPayload({
+  to, message, type = 'text', media, media_ref, latitude, longitude, contacts, vcard, poll, message_id, emoji, mentions, presence
+}) {
+  if (!to && type !== 'reaction') return 'to required';
+  if (type !== 'text' && !MEDIA_MESSAGE_TYPES.includes(type) && !SPECIAL_MESSAGE_TYPES.includes(type)) {
+    return `Unsupported message type: ${type}`;
+  }
+  if (type === 'text' && !message) return 'message required for text messages';
+  if (MEDIA_MESSAGE_TYPES.includes(type) && !media && !media_ref) return `media required for ${type} messages`;
+  const isCoordinate = value => value !== null && value !== '' && Number.isFinite(Number(value));
+  if (type === 'location' && !(isCoordinate(latitude) && isCoordinate(longitude))) {
+    return 'latitude and longitude required for location messages';
+  }
+  if (type === 'contact' && !vcard && (!Array.isArray(contacts) || contacts.length === 0)) {
+    return 'contacts (non-empty array) or vcard required for contact messages';
+  }
+  if (type === 'poll' && (!poll?.question || !Array.isArray(poll.options) || poll.options.length < 2)) {
+    return 'poll.question and poll.options (at least 2) required for poll messages';
+  }
+  if (type === 'reaction' && (!message_id || typeof emoji !== 'string')) {
+    return 'message_id and emoji required for reactions (emoji "" removes the reaction)';
+  }
+  if (type === 'reaction' && !to && !String(message_id).includes('_')) {
+    return 'to required when message_id is not a serialized id';
+  }
+  if (mentions !== undefined && !Array.isArray(mentions)) return 'mentions must be an array';
+  if (presence !== undefined && !PRESENCE_TYPES.includes(presence)) {
+    return `presence must be one of: ${PRESENCE_TYPES.join(', ')}`;
+  }
+  return null;
+}
+
+// Errors caused by the request itself: reported as 400 and never retried by the queue
+function inputError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.isInputError = true;
+  return err;
+}
+
+function isConnectionLostError(err) {
+  return err.message.includes('Protocol error') || err.message.includes('Session closed');
+}
+
+function markConnectionLost(session, connId) {
+  handleSessionLost(connId, 'connection_lost');
+}
+
+// Find a message by serialized id (`true_<chat>_<id>`) or by the short id returned by send-message.
+// Short ids are resolved against `chatId`: first as sent/received ids, then in the recent history.
+async function findMessage(client, chatId, messageId) {
+  const id = String(messageId);
+  const candidates = id.includes('_') ? [id] : [`true_${chatId}_${id}`, `false_${chatId}_${id}`];
+  for (const candidate of candidates) {
+    const found = await withTimeout(client.getMessageById(candidate), 10000, 'Get message timeout after 10s')
+      .catch(() => null);
+    if (found) return found;
+  }
+  if (id.includes('_') || !chatId) return null;
+
+  // Group messages carry the author in their serialized id, so fall back to scanning the chat
+  const chat = await withTimeout(client.getChatById(chatId), 10000, 'Get chat timeout after 10s').catch(() => null);
+  if (!chat) return null;
+  const recent = await withTimeout(chat.fetchMessages({ limit: 200 }), 30000, 'Fetch messages timeout after 30s');
+  return recent.find(m => m.id?.id === id) || null;
+}
+
+async function requireMessage(client, chatId, messageId) {
+  const found = await findMessage(client, chatId, messageId);
+  if (!found) throw inputError('MESSAGE_NOT_FOUND', `Message ${messageId} not found`);
+  return found;
+}
+
+// Sends currently in progress; a graceful shutdown waits for them before closing the clients
+const inFlightSends = new Set();
+
+// Send one message through the session client. Shared by /api/send-message and the queue worker;
+// the caller is responsible for checking that the session is connected.
+async function sendToChat(session, connId, payload) {
+  const { to, type = 'text' } = payload;
+  const sending = sendToChatUncounted(session, connId, payload);
+  inFlightSends.add(sending);
+  try {
+    const result = await sending;
+    metrics.messages.inc({ connection_id: connId, result: 'sent' });
+    log.info('message.sent', connId, `${type} message sent successfully to ${to}`, { type, to });
+    return result;
+  } catch (err) {
+    const result = err.isTimeout ? 'timeout' : 'failed';
+    metrics.messages.inc({ connection_id: connId, result });
+    log.error(`message.${result}`, connId, `${type} message to ${to} ${result}: ${err.message}`, { type, to, error: err.message });
+    throw err;
+  } finally {
+    inFlightSends.delete(sending);
+  }
+}
+
+async function sendToChatUncounted(session, connId, payload) {
+  const {
+    to, message, type = 'text', media, caption, filename, mimetype, voice = false,
+    reply_to, mentions, latitude, longitude, location_name, address, url,
+    contacts, vcard, poll, message_id, emoji, presence, presence_ms
+  } = payload;
+  const isMedia = MEDIA_MESSAGE_TYPES.includes(type);
+  const { client } = session;
+
+  // Ensure runtime patches are applied before sending.
+  await applyRuntimePatches(client, connId);
+
+  const chatId = to ? toChatId(to) : null;
+
+  // Reactions go on an existing message instead of creating a new one
+  if (type === 'reaction') {
+    const target = await requireMessage(client, chatId, message_id);
+    await humanDelay(300, 800);
+    await withTimeout(target.react(emoji), 30000, 'Send reaction timeout after 30s');
+    return null;
+  }
+
+  let content = message;
+  const sendOptions = {};
+  if (isMedia) {
+    try {
+      content = await buildMessageMedia({ media, mimetype, filename });
+    } catch (mediaErr) {
+      throw inputError('INVALID_MEDIA', `Invalid media: ${mediaErr.message}`);
+    }
+    // For media, `message` doubles as the caption when no explicit caption is given
+    if (type !== 'audio' && type !== 'sticker' && (caption || message)) {
+      sendOptions.caption = caption || message;
+    }
+    if (type === 'document') sendOptions.sendMediaAsDocument = true;
+    if (type === 'sticker') sendOptions.sendMediaAsSticker = true;
+    if (type === 'audio' && voice) sendOptions.sendAudioAsVoice = true;
+  } else if (type === 'location') {
+    content = new Location(Number(latitude), Number(longitude), {
+      name: location_name || undefined,
+      address: address || undefined,
+      url: url || undefined
+    });
+  } else if (type === 'contact') {
+    if (vcard) {
+      content = vcard;
+      sendOptions.parseVCards = true;
+    } else {
+      const cards = await Promise.all(contacts.map(contact =>
+        withTimeout(client.getContactById(toChatId(contact)), 15000, 'Get contact timeout after 15s')
+      ));
+      content = cards.length === 1 ? cards[0] : cards;
+    }
+  } else if (type === 'poll') {
+    content = new Poll(poll.question, poll.options.map(String), {
+      allowMultipleAnswers: !!poll.allow_multiple
+    });
+  }
+
+  if (reply_to) {
+    const quoted = await requireMessage(client, chatId, reply_to);
+    sendOptions.quotedMessageId = quoted.id._serialized;
+  }
+  if (mentions?.length) {
+    // The text must also contain `@<number>` for each mention to be highlighted
+    sendOptions.mentions = mentions.map(toChatId);
+  }
+
+  // Delay uman înainte de trimitere (reduce riscul de ban); with `presence` the contact sees
+  // "typing..." / "recording audio..." during the delay
+  if (presence) {
+    const durationMs = clampInt(presence_ms, 2000, 300, 20000);
+    await simulatePresence(client, chatId, presence, durationMs).catch(err => {
+      log.warn('message.presence_failed', connId, `Presence before send failed (non-fatal): ${err.message}`, { error: err.message });
+    });
+  } else {
+    await humanDelay(300, 800);
+  }
+
+  // Add timeout to sendMessage to prevent hanging (media uploads get more time)
+  const sendTimeoutMs = isMedia ? 60000 : 30000;
+  const result = await withTimeout(
+    client.sendMessage(chatId, content, sendOptions),
+    sendTimeoutMs,
+    `Send message timeout after ${sendTimeoutMs / 1000}s`
+  );
+  return result;
+}
+
+// Send message - with real state verification
+app.post('/api/send-message', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, to, default_country, queued = false } = req.body;
+  const connId = connection_id || instance_id;
+  
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+  const payloadError = validateSendPayload(req.body);
+  if (payloadError) {
+    return sendError(res, 'VALIDATION_ERROR', payloadError);
+  }
+  // Reactions may omit `to`; everything else is sent to the normalized WhatsApp id
+  const recipient = to ? requireRecipient(res, connId, to, default_country) : null;
+  if (to && !recipient) return;
+  const payload = recipient ? { ...req.body, to: recipient.jid } : req.body;
+
+  // Queued mode: accept right away and let the connection's worker deliver it
+  if (queued) {
+    const job = enqueueMessage(connId, payload);
+    log.info('queue.enqueued', connId, `Message to ${payload.to} queued as job ${job.id}`, { job_id: job.id });
+    return res.status(202).json({ queued: true, job_id: job.id, status: job.status, recipient });
+  }
+
+  // Counted as in flight from here on, so a shutdown waits for the wake-up and state check too
+  // instead of closing the client under this request
+  if (shuttingDown) return sendError(res, 'SHUTTING_DOWN', 'Server is shutting down, retry shortly');
+  const handling = sendMessageNow(res, connId, payload, recipient);
+  inFlightSends.add(handling);
+  try {
+    await handling;
+  } finally {
+    inFlightSends.delete(handling);
+  }
+});
+
+async function sendMessageNow(res, connId, payload, recipient) {
+  log.info('request.send_message', connId, `Send message to ${payload.to}`);
+  
+  const session = getSession(connId);
+  if (!(await wakeSession(connId))) {
+    return sendCapacityError(res, connId);
+  }
+  
+  // Basic check
+  if (!session.client || session.status !== 'connected') {
+    log.info('session.not_connected', connId, `Basic check failed: client=${!!session.client}, status=${session.status}`, { status: session.status });
+    return sendNotConnected(res, session);
+  }
+
+  // Quick state verification with short timeout (skip if it takes too long)
+  log.debug('session.state_check', connId, 'Verifying connection state...');
+  const stateCheck = await verifyConnectionState(session, connId, 3000);
+  if (!stateCheck.connected) {
+    log.info('session.state_check_failed', connId, `State check failed: ${stateCheck.reason}`, { reason: stateCheck.reason });
+    return sendSessionExpired(res, stateCheck);
+  }
+  log.debug('session.state_check', connId, 'State OK, sending message...');
+
+  try {
+    const result = await sendToChat(session, connId, payload);
+    
+    res.json({
+      success: true, 
+      messageId: result?.id?.id || null,
+      serializedId: result?.id?._serialized || null,
+      timestamp: result?.timestamp || Math.floor(Date.now() / 1000),
+      recipient
+    });
+  } catch (err) {
+    log.error('request.send_failed', connId, `Send error: ${err.message}`, errorFields(err));
+
+    // If send fails, check if it's a connection issue
+    if (!err.isInputError && isConnectionLostError(err)) {
+      markConnectionLost(session, connId);
+      return sendError(res, 'CONNECTION_LOST', 'Connection lost during send. Please reconnect.', { needs_reconnect: true });
+    }
+    
+    sendServerError(res, err, 'SEND_TIMEOUT');
+  }
+}
+
+// Outbound message queue, persisted next to the LocalAuth sessions so a restart doesn't drop
+// pending messages. One worker per connection sends its jobs strictly in order.
+const QUEUE_FILE = path.join(BRIDGE_DATA_PATH, 'queue.json');
+const QUEUE_MESSAGES_PER_MINUTE = parseInt(process.env.QUEUE_MESSAGES_PER_MINUTE || '20', 10);
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10);
+const QUEUE_RETRY_BASE_MS = 5000;
+const QUEUE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// { [job_id]: { id, connectionId, payload, status, attempts, createdAt, updatedAt, nextAttemptAt, result, error } }
+const queueJobs = readJsonFile(QUEUE_FILE, {});
+// Jobs that were in flight when the process died are sent again
+Object.values(queueJobs).forEach(job => {
+  if (job.status === 'sending') job.status = 'queued';
+});
+
+// connection_id -> true while its worker loop is running
+const queueWorkers = {};
+
+function saveQueue() {
+  scheduleJsonWrite(QUEUE_FILE, () => queueJobs);
+}
+
+function serializeJob(job) {
+  return {
+    job_id: job.id,
+    connection_id: job.connectionId,
+    to: job.payload.to,
+    type: job.payload.type || 'text',
+    status: job.status,
+    attempts: job.attempts,
+    created_at: toIso(job.createdAt),
+    updated_at: toIso(job.updatedAt),
+    next_attempt_at: job.status === 'queued' ? toIso(job.nextAttemptAt) : null,
+    result: job.result,
+    error: job.error
+  };
+}
+
+function enqueueMessage(connId, body) {
+  // Keep only the message fields; auth and routing fields are not needed to send later
+  const { token, queued, instance_id, connection_id, default_country, ...payload } = body;
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    connectionId: connId,
+    payload: spoolMedia(connId, payload),
+    status: 'queued',
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    nextAttemptAt: now,
+    result: null,
+    error: null
+  };
+  queueJobs[job.id] = job;
+  saveQueue();
+  startQueueWorker(connId);
+  return job;
+}
+
+function startQueueWorker(connId) {
+  if (queueWorkers[connId]) return;
+  queueWorkers[connId] = true;
+  runQueueWorker(connId)
+    .catch(err => log.error('queue.worker_failed', connId, `Queue worker error: ${err.message}`, errorFields(err)))
+    .finally(() => { delete queueWorkers[connId]; });
+}
+
+async function runQueueWorker(connId) {
+  const minIntervalMs = 60000 / Math.max(QUEUE_MESSAGES_PER_MINUTE, 1);
+
+  for (;;) {
+    if (shuttingDown) return;
+    const job = Object.values(queueJobs)
+      .filter(j => j.connectionId === connId && j.status === 'queued')
+      .sort((a, b) => a.createdAt - b.createdAt)[0];
+    if (!job) return;
+
+    // Head of the line is waiting for its retry: keep order and wait for it
+    const waitMs = job.nextAttemptAt - Date.now();
+    if (waitMs > 0) {
+      await sleep(waitMs);
+      continue;
+    }
+
+    // The worker stops while the session is down; it is restarted on `ready` and by the queue timer
+    const session = sessions[connId];
+    if (!session?.client || session.status !== 'connected') return;
+    const stateCheck = await verifyConnectionState(session, connId, 3000);
+    if (!stateCheck.connected) return;
+
+    const startedAt = Date.now();
+    job.status = 'sending';
+    job.attempts += 1;
+    job.updatedAt = startedAt;
+    saveQueue();
+
+    try {
+      const result = await sendToChat(session, connId, unspoolMedia(job.payload));
+      job.status = 'sent';
+      job.result = { messageId: result?.id?.id || null, serializedId: result?.id?._serialized || null, timestamp: result?.timestamp || null };
+      job.error = null;
+    } catch (err) {
+      log.warn('queue.attempt_failed', connId, `Queue job ${job.id} attempt ${job.attempts} failed: ${err.message}`, { job_id: job.id, attempt: job.attempts, error: err.message });
+      job.error = err.message;
+      if (err.isInputError || job.attempts >= QUEUE_MAX_ATTEMPTS) {
+        job.status = 'failed';
+      } else {
+        job.status = 'queued';
+        job.nextAttemptAt = Date.now() + QUEUE_RETRY_BASE_MS * 2 ** (job.attempts - 1);
+      }
+      if (isConnectionLostError(err)) {
+        markConnectionLost(session, connId);
+      }
+    }
+    if (job.status !== 'queued') releaseSpooledMedia(job.payload);
+    job.updatedAt = Date.now();
+    saveQueue();
+
+    // Rate limit: never faster than QUEUE_MESSAGES_PER_MINUTE, plus some human jitter
+    await sleep(Math.max(0, minIntervalMs - (Date.now() - startedAt)));
+    await humanDelay(500, 1500);
+  }
+}
+
+// Check progress of a queued message
+app.get('/api/jobs/:id', requireConnectionToken, (req, res) => {
+  const connId = req.connectionId;
+  
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+
+  const job = queueJobs[req.params.id];
+  if (!job || job.connectionId !== connId) {
+    return sendError(res, 'NOT_FOUND', 'Job not found');
+  }
+
+  res.json(serializeJob(job));
+});
+
+// Bulk campaigns: one template sent to many recipients with pacing, a send window and a daily cap
+// per connection. State is persisted so a campaign continues after a restart.
+const CAMPAIGNS_FILE = path.join(BRIDGE_DATA_PATH, 'campaigns.json');
+const CAMPAIGN_MAX_RECIPIENTS = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS || '5000', 10);
+const CAMPAIGN_DAILY_CAP = parseInt(process.env.CAMPAIGN_DAILY_CAP || '200', 10);
+const CAMPAIGN_MAX_ATTEMPTS = 3;
+// Completed / cancelled campaigns are kept this long for their per-recipient results
+const CAMPAIGN_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// { campaigns: { [id]: campaign }, dailyCounts: { [connection_id]: { date, count } } }
+const campaignState = readJsonFile(CAMPAIGNS_FILE, { campaigns: {}, dailyCounts: {} });
+Object.values(campaignState.campaigns).forEach(campaign => {
+  campaign.recipients.forEach(recipient => {
+    if (recipient.status === 'sending') recipient.status = 'pending';
+  });
+});
+
+// connection_id -> true while its runner loop sends the running campaigns of that connection
+const campaignRunners = {};
+
+function saveCampaigns() {
+  scheduleJsonWrite(CAMPAIGNS_FILE, () => campaignState);
+}
+
+// A campaign that won't send again doesn't need its spooled template media
+function finishCampaign(campaign, status) {
+  campaign.status = status;
+  campaign.updatedAt = Date.now();
+  releaseSpooledMedia(campaign.template);
+  saveCampaigns();
+}
+
+// Replace {{name}} placeholders with the recipient's variables (unknown ones become empty)
+function renderTemplate(text, variables = {}) {
+  if (typeof text !== 'string') return text;
+  return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, key) => (variables[key] ?? '').toString());
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// Current minute-of-day and weekday (0 = Sunday) in a timezone
+function zonedClock(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour12: false,
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type)?.value;
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return {
+    minutes: (parseInt(get('hour'), 10) % 24) * 60 + parseInt(get('minute'), 10),
+    weekday: weekdays.indexOf(get('weekday'))
+  };
+}
+
+// Validate a send window: { start: 'HH:MM', end: 'HH:MM', timezone, days: [1..5] }. Returns an error or null.
+function validateSendWindow(window) {
+  if (!window) return null;
+  if (parseClock(window.start) === null || parseClock(window.end) === null) {
+    return 'send_window.start and send_window.end must be HH:MM';
+  }
+  try {
+    zonedClock(window.timezone || 'UTC');
+  } catch (e) {
+    return `Unknown send_window.timezone: ${window.timezone}`;
+  }
+  if (window.days !== undefined && (!Array.isArray(window.days) || window.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+    return 'send_window.days must be an array of weekdays (0 = Sunday ... 6 = Saturday)';
+  }
+  return null;
+}
+
+function isWithinSendWindow(window, date = new Date()) {
+  if (!window) return true;
+  const { minutes, weekday } = zonedClock(window.timezone || 'UTC', date);
+  if (Array.isArray(window.days) && !window.days.includes(weekday)) return false;
+  const start = parseClock(window.start);
+  const end = parseClock(window.end);
+  // Windows may wrap midnight (e.g. 22:00 - 06:00)
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function todayKey() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function getDailyCount(connId) {
+  const entry = campaignState.dailyCounts[connId];
+  return entry && entry.date === todayKey() ? entry.count : 0;
+}
+
+function incrementDailyCount(connId) {
+  campaignState.dailyCounts[connId] = { date: todayKey(), count: getDailyCount(connId) + 1 };
+}
+
+function campaignProgress(campaign) {
+  const counts = { pending: 0, sent: 0, failed: 0, invalid_number: 0 };
+  campaign.recipients.forEach(recipient => {
+    const key = recipient.status === 'sending' ? 'pending' : recipient.status;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+function serializeCampaign(campaign, { withRecipients = false } = {}) {
+  const result = {
+    campaign_id: campaign.id,
+    connection_id: campaign.connectionId,
+    name: campaign.name,
+    status: campaign.status,
+    start_at: toIso(campaign.startAt),
+    send_window: campaign.sendWindow,
+    daily_cap: campaign.dailyCap,
+    total: campaign.recipients.length,
+    progress: campaignProgress(campaign),
+    created_at: toIso(campaign.createdAt),
+    updated_at: toIso(campaign.updatedAt)
+  };
+  if (withRecipients) {
+    result.recipients = campaign.recipients.map(recipient => ({
+      to: recipient.to,
+      jid: recipient.jid || null,
+      e164: recipient.e164 || null,
+      status: recipient.status,
+      whatsapp_id: recipient.whatsappId,
+      message_id: recipient.messageId,
+      attempts: recipient.attempts,
+      error: recipient.error,
+      sent_at: toIso(recipient.sentAt)
+    }));
+  }
+  return result;
+}
+
+// Campaigns of a connection share its daily count and must not send side by side, so like the
+// queue and the scheduler there is one runner per connection: it sends one message at a time,
+// from the oldest running campaign that may send now.
+function startCampaignRunner(connId) {
+  if (campaignRunners[connId]) return;
+  campaignRunners[connId] = true;
+  runCampaigns(connId)
+    .catch(err => log.error('campaign.runner_failed', connId, `Campaign runner error: ${err.message}`, errorFields(err)))
+    .finally(() => { delete campaignRunners[connId]; });
+}
+
+// The oldest running campaign of the connection that is inside its send window and under its daily
+// cap. Campaigns left without pending recipients are completed on the way.
+function nextCampaign(connId) {
+  const running = Object.values(campaignState.campaigns)
+    .filter(campaign => campaign.connectionId === connId && campaign.status === 'running')
+    .sort((a, b) => a.createdAt - b.createdAt);
+  for (const campaign of running) {
+    if (!campaign.recipients.some(r => r.status === 'pending')) {
+      finishCampaign(campaign, 'completed');
+      log.info('campaign.completed', connId, `Campaign ${campaign.id} completed`, { campaign_id: campaign.id });
+      continue;
+    }
+    if (isWithinSendWindow(campaign.sendWindow) && getDailyCount(connId) < campaign.dailyCap) return campaign;
+  }
+  return null;
+}
+
+// Sends the campaigns one recipient at a time. Returns whenever it has to wait for something
+// (session down, outside the windows, daily caps reached); the campaign timer starts it again.
+async function runCampaigns(connId) {
+  // campaign id -> template with its spooled media read back, loaded on the first send of this run
+  const templates = {};
+  for (;;) {
+    if (shuttingDown) return;
+    const campaign = nextCampaign(connId);
+    if (!campaign) return;
+    const recipient = campaign.recipients.find(r => r.status === 'pending');
+
+    const session = sessions[connId];
+    if (!session?.client || session.status !== 'connected') return;
+    const stateCheck = await verifyConnectionState(session, connId, 3000);
+    if (!stateCheck.connected) return;
+    // Paused or cancelled while the state was checked
+    if (campaign.status !== 'running' || recipient.status !== 'pending') continue;
+
+    recipient.status = 'sending';
+    recipient.attempts += 1;
+    campaign.updatedAt = Date.now();
+    saveCampaigns();
+
+    try {
+      // Pre-validate the number so unregistered ones don't burn a send (and a ban signal)
+      const numberId = await withTimeout(
+        session.client.getNumberId(recipient.jid || toChatId(recipient.to)),
+        10000,
+        'Check number timeout after 10s'
+      );
+      if (!numberId) {
+        recipient.status = 'invalid_number';
+        recipient.error = 'Number is not on WhatsApp';
+      } else {
+        recipient.whatsappId = numberId._serialized;
+        templates[campaign.id] = templates[campaign.id] || unspoolMedia(campaign.template);
+        const template = templates[campaign.id];
+        const result = await sendToChat(session, connId, {
+          ...template,
+          to: numberId._serialized,
+          message: renderTemplate(template.message, recipient.variables),
+          caption: renderTemplate(template.caption, recipient.variables)
+        });
+        recipient.status = 'sent';
+        recipient.messageId = result?.id?.id || null;
+        recipient.sentAt = Date.now();
+        recipient.error = null;
+        incrementDailyCount(connId);
+      }
+    } catch (err) {
+      log.warn('campaign.send_failed', connId, `Campaign ${campaign.id} send to ${recipient.to} failed: ${err.message}`, { campaign_id: campaign.id, to: recipient.to, error: err.message });
+      recipient.error = err.message;
+      recipient.status = err.isInputError || recipient.attempts >= CAMPAIGN_MAX_ATTEMPTS ? 'failed' : 'pending';
+      if (isConnectionLostError(err)) {
+        markConnectionLost(session, connId);
+      }
+    }
+    campaign.updatedAt = Date.now();
+    saveCampaigns();
+
+    // Randomized gap between recipients
+    await humanDelay(campaign.minDelayMs, campaign.maxDelayMs);
+  }
+}
+
+app.post('/api/campaigns', requireConnectionToken, (req, res) => {
+  const {
+    instance_id, connection_id, name, template, recipients, start_at, send_window,
+    daily_cap, min_delay_ms, max_delay_ms, default_country
+  } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId || !template || !Array.isArray(recipients) || recipients.length === 0) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id, template and recipients (non-empty array) required');
+  }
+  if (recipients.length > CAMPAIGN_MAX_RECIPIENTS) {
+    return sendError(res, 'VALIDATION_ERROR', `At most ${CAMPAIGN_MAX_RECIPIENTS} recipients per campaign`);
+  }
+  if (template.type === 'reaction') {
+    return sendError(res, 'VALIDATION_ERROR', 'Reactions cannot be sent as a campaign');
+  }
+  // Recipients may be plain numbers or { to, variables }
+  const normalizedRecipients = recipients.map(r => (typeof r === 'object' && r !== null ? r : { to: r }));
+  if (normalizedRecipients.some(r => !r.to)) {
+    return sendError(res, 'VALIDATION_ERROR', 'Every recipient needs a `to` number');
+  }
+  const templateError = validateSendPayload({ ...template, to: normalizedRecipients[0].to });
+  if (templateError) {
+    return sendError(res, 'VALIDATION_ERROR', `Invalid template: ${templateError}`);
+  }
+  const windowError = validateSendWindow(send_window);
+  if (windowError) {
+    return sendError(res, 'VALIDATION_ERROR', windowError);
+  }
+  const startAt = start_at ? new Date(start_at).getTime() : null;
+  if (start_at && Number.isNaN(startAt)) {
+    return sendError(res, 'VALIDATION_ERROR', 'start_at must be an ISO date');
+  }
+  const { country, error: countryError } = resolveDefaultCountry(connId, default_country);
+  if (countryError) {
+    return sendError(res, 'VALIDATION_ERROR', countryError);
+  }
+
+  const now = Date.now();
+  const minDelayMs = clampInt(min_delay_ms, 8000, 1000, 10 * 60 * 1000);
+  const campaign = {
+    id: crypto.randomUUID(),
+    connectionId: connId,
+    name: name || null,
+    template: spoolMedia(connId, template),
+    // Malformed numbers are marked invalid up front instead of failing the whole campaign
+    recipients: normalizedRecipients.map(r => {
+      const { recipient, error } = normalizeRecipient(r.to, country);
+      return {
+        to: String(r.to),
+        jid: recipient?.jid || null,
+        e164: recipient?.e164 || null,
+        variables: r.variables || {},
+        status: error ? 'invalid_number' : 'pending',
+        attempts: 0,
+        whatsappId: null,
+        messageId: null,
+        error: error || null,
+        sentAt: null
+      };
+    }),
+    status: startAt && startAt > now ? 'scheduled' : 'running',
+    startAt,
+    sendWindow: send_window || null,
+    dailyCap: clampInt(daily_cap, CAMPAIGN_DAILY_CAP, 1, CAMPAIGN_DAILY_CAP),
+    minDelayMs,
+    maxDelayMs: Math.max(clampInt(max_delay_ms, 20000, 1000, 10 * 60 * 1000), minDelayMs),
+    createdAt: now,
+    updatedAt: now
+  };
+  campaignState.campaigns[campaign.id] = campaign;
+  saveCampaigns();
+  log.info('campaign.created', connId, `Campaign ${campaign.id} created with ${campaign.recipients.length} recipient(s)`, { campaign_id: campaign.id, recipients: campaign.recipients.length });
+
+  if (campaign.status === 'running') startCampaignRunner(campaign.connectionId);
+  res.status(201).json(serializeCampaign(campaign));
+});
+
+app.post('/api/campaigns/list', requireConnectionToken, (req, res) => {
+  const { instance_id, connection_id } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+
+  const campaigns = Object.values(campaignState.campaigns)
+    .filter(campaign => campaign.connectionId === connId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(campaign => serializeCampaign(campaign));
+  res.json({ total: campaigns.length, daily_sent: getDailyCount(connId), campaigns });
+});
+
+// Campaign details with per-recipient results
+app.post('/api/campaigns/:id/status', requireConnectionToken, (req, res) => {
+  const campaign = getOwnItem(req, res, campaignState.campaigns, 'Campaign not found');
+  if (!campaign) return;
+  res.json(serializeCampaign(campaign, { withRecipients: true }));
+});
+
+// pause / resume / cancel: allowed source states for each transition
+const CAMPAIGN_TRANSITIONS = {
+  pause: { from: ['running', 'scheduled'], to: 'paused' },
+  resume: { from: ['paused'], to: 'running' },
+  cancel: { from: ['running', 'scheduled', 'paused'], to: 'cancelled' }
+};
+
+app.post('/api/campaigns/:id/:action(pause|resume|cancel)', requireConnectionToken, (req, res) => {
+  const campaign = getOwnItem(req, res, campaignState.campaigns, 'Campaign not found');
+  if (!campaign) return;
+
+  const { action } = req.params;
+  const transition = CAMPAIGN_TRANSITIONS[action];
+  if (!transition.from.includes(campaign.status)) {
+    return sendError(res, 'CONFLICT', `Cannot ${action} a ${campaign.status} campaign`, { status: campaign.status });
+  }
+
+  if (action === 'cancel') {
+    finishCampaign(campaign, 'cancelled');
+  } else {
+    // A resumed campaign whose start time hasn't come yet goes back to scheduled
+    campaign.status = action === 'resume' && campaign.startAt > Date.now() ? 'scheduled' : transition.to;
+    campaign.updatedAt = Date.now();
+    saveCampaigns();
+  }
+  log.info(`campaign.${action}`, campaign.connectionId, `Campaign ${campaign.id} ${action}: now ${campaign.status}`, { campaign_id: campaign.id, status: campaign.status });
+
+  if (campaign.status === 'running') startCampaignRunner(campaign.connectionId);
+  res.json(serializeCampaign(campaign));
+});
+
+// Scheduled messages: a send-message payload delivered at `send_at`, optionally repeated daily or
+// weekly. Persisted so reminders survive restarts. If the session is down at fire time the send is
+// retried every minute until SCHEDULE_MAX_LATENESS_MS has passed, then reported as failed.
+const SCHEDULES_FILE = path.join(BRIDGE_DATA_PATH, 'schedules.json');
+const SCHEDULE_MAX_LATENESS_MS = parseInt(process.env.SCHEDULE_MAX_LATENESS_MS || `${30 * 60 * 1000}`, 10);
+const SCHEDULE_MAX_ATTEMPTS = 3;
+const SCHEDULE_RETRY_MS = 60 * 1000;
+const SCHEDULE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// repeat -> days between occurrences
+const SCHEDULE_REPEATS = { daily: 1, weekly: 7 };
+// Request fields that configure the schedule itself rather than the message
+const SCHEDULE_FIELDS = ['token', 'instance_id', 'connection_id', 'queued', 'send_at', 'repeat', 'repeat_until', 'timezone', 'default_country'];
+
+// { [id]: { id, connectionId, payload, sendAt, repeat, repeatUntil, timezone, status, attempts,
+//           nextAttemptAt, runs, lastResult, error, createdAt, updatedAt } }
+const scheduledMessages = readJsonFile(SCHEDULES_FILE, {});
+// Sends that were in flight when the process died are tried again
+Object.values(scheduledMessages).forEach(item => {
+  if (item.status === 'sending') item.status = 'scheduled';
+});
+
+// connection_id -> true while its scheduler worker sends the due items of that connection
+const schedulerWorkers = {};
+
+function saveSchedules() {
+  scheduleJsonWrite(SCHEDULES_FILE, () => scheduledMessages);
+}
+
+function serializeSchedule(item) {
+  return {
+    schedule_id: item.id,
+    connection_id: item.connectionId,
+    to: item.payload.to,
+    recipient: item.recipient || null,
+    type: item.payload.type || 'text',
+    payload: withoutSpooledMedia(item.payload),
+    status: item.status,
+    send_at: toIso(item.sendAt),
+    repeat: item.repeat,
+    repeat_until: toIso(item.repeatUntil),
+    timezone: item.timezone,
+    attempts: item.attempts,
+    runs: item.runs,
+    last_result: item.lastResult,
+    error: item.error,
+    created_at: toIso(item.createdAt),
+    updated_at: toIso(item.updatedAt)
+  };
+}
+
+// UTC offset of a timezone at a given instant
+function timezoneOffsetMs(timezone, ms) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour12: false,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(ms));
+  const get = type => parseInt(parts.find(p => p.type === type)?.value, 10);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour') % 24, get('minute'), get('second'));
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// Same wall-clock time `days` later in the timezone, so a 09:00 reminder stays at 09:00 across DST
+function addLocalDays(ms, days, timezone) {
+  const candidate = ms + days * 24 * 60 * 60 * 1000;
+  return candidate + timezoneOffsetMs(timezone, ms) - timezoneOffsetMs(timezone, candidate);
+}
+
+// Validate and normalize the schedule fields of a request. Returns { fields } or { error }.
+function parseScheduleFields({ send_at, repeat, repeat_until, timezone }, current = {}) {
+  const fields = {};
+  if (send_at !== undefined) {
+    fields.sendAt = new Date(send_at).getTime();
+    if (Number.isNaN(fields.sendAt)) return { error: 'send_at must be an ISO date' };
+  }
+  if (repeat !== undefined) {
+    if (repeat !== null && !SCHEDULE_REPEATS[repeat]) return { error: 'repeat must be daily, weekly or null' };
+    fields.repeat = repeat;
+  }
+  if (repeat_until !== undefined) {
+    fields.repeatUntil = repeat_until === null ? null : new Date(repeat_until).getTime();
+    if (Number.isNaN(fields.repeatUntil)) return { error: 'repeat_until must be an ISO date' };
+  }
+  if (timezone !== undefined) {
+    try {
+      timezoneOffsetMs(timezone, Date.now());
+    } catch (e) {
+      return { error: `Unknown timezone: ${timezone}` };
     }
-    
-    return { connected: true, state };
+    fields.timezone = timezone;
+  }
+  const sendAt = fields.sendAt ?? current.sendAt;
+  if (!sendAt) return { error: 'send_at required' };
+  if ((fields.sendAt !== undefined || current.status !== 'scheduled') && sendAt < Date.now() - 60000) {
+    return { error: 'send_at must be in the future' };
+  }
+  return { fields };
+}
+
+// Report one occurrence through the `scheduled_message` webhook. The webhook settings are persisted
+// with the connection, so failures of a session that isn't loaded are reported too.
+function notifySchedule(item, status, extra = {}) {
+  const target = sessions[item.connectionId] || getConnectionConfig(item.connectionId);
+  if (!target) return;
+  postWebhook(target, item.connectionId, 'scheduled_message', {
+    schedule_id: item.id,
+    status,
+    to: item.payload.to,
+    type: item.payload.type || 'text',
+    scheduled_for: new Date(item.sendAt).toISOString(),
+    attempts: item.attempts,
+    ...extra
+  });
+}
+
+// Record the outcome of the current occurrence, then move a repeating item to its next occurrence
+function finishOccurrence(item, status, { result = null, error = null } = {}) {
+  const now = Date.now();
+  item.runs += 1;
+  item.error = error;
+  item.lastResult = {
+    status,
+    scheduled_for: new Date(item.sendAt).toISOString(),
+    message_id: result?.id?.id || null,
+    serialized_id: result?.id?._serialized || null,
+    error,
+    at: new Date(now).toISOString()
+  };
+
+  let nextSendAt = null;
+  if (item.repeat) {
+    nextSendAt = item.sendAt;
+    // Occurrences missed while the bridge was down are skipped, not sent in a burst
+    while (nextSendAt <= now) nextSendAt = addLocalDays(nextSendAt, SCHEDULE_REPEATS[item.repeat], item.timezone);
+    if (item.repeatUntil && nextSendAt > item.repeatUntil) nextSendAt = null;
+  }
+
+  notifySchedule(item, status, {
+    message_id: item.lastResult.message_id,
+    serialized_id: item.lastResult.serialized_id,
+    error,
+    next_send_at: toIso(nextSendAt)
+  });
+
+  if (nextSendAt) {
+    item.status = 'scheduled';
+    item.sendAt = nextSendAt;
+    item.nextAttemptAt = nextSendAt;
+    item.attempts = 0;
+  } else {
+    item.status = status;
+    // Failed items may still be given a new send_at, so they keep their media until pruned
+    if (status === 'sent') releaseSpooledMedia(item.payload);
+  }
+  item.updatedAt = now;
+}
+
+async function fireSchedule(item) {
+  const connId = item.connectionId;
+  const now = Date.now();
+  const session = sessions[connId];
+
+  let notReady = null;
+  if (session?.status === 'hibernated') {
+    wakeSession(connId, { wait: false });
+    notReady = 'Session waking up';
+  } else if (!session?.client || session.status !== 'connected') {
+    notReady = 'Connection not connected';
+  } else {
+    const stateCheck = await verifyConnectionState(session, connId, 3000);
+    if (!stateCheck.connected) notReady = `Connection not connected (${stateCheck.reason})`;
+  }
+
+  if (notReady) {
+    if (now - item.sendAt > SCHEDULE_MAX_LATENESS_MS) {
+      log.warn('schedule.failed', connId, `Scheduled message ${item.id} failed: ${notReady}`, { schedule_id: item.id, error: notReady });
+      finishOccurrence(item, 'failed', { error: notReady });
+    } else {
+      item.error = notReady;
+      item.nextAttemptAt = now + SCHEDULE_RETRY_MS;
+      item.updatedAt = now;
+    }
+    saveSchedules();
+    return;
+  }
+
+  item.status = 'sending';
+  item.attempts += 1;
+  item.updatedAt = now;
+  saveSchedules();
+
+  try {
+    const result = await sendToChat(session, connId, unspoolMedia(item.payload));
+    log.info('schedule.sent', connId, `Scheduled message ${item.id} sent`, { schedule_id: item.id });
+    finishOccurrence(item, 'sent', { result });
   } catch (err) {
-    console.log(`[${connId}] State check failed: ${err.message}`);
-    // IMPORTANT: don't destroy the session on transient failures/timeouts.
-    // This was causing "connected" devices to be shown as disconnected.
-    return { connected: false, reason: 'state_check_error', error: err.message };
+    log.warn('schedule.attempt_failed', connId, `Scheduled message ${item.id} attempt ${item.attempts} failed: ${err.message}`, { schedule_id: item.id, attempt: item.attempts, error: err.message });
+    if (err.isInputError || item.attempts >= SCHEDULE_MAX_ATTEMPTS || Date.now() - item.sendAt > SCHEDULE_MAX_LATENESS_MS) {
+      finishOccurrence(item, 'failed', { error: err.message });
+    } else {
+      item.status = 'scheduled';
+      item.error = err.message;
+      item.nextAttemptAt = Date.now() + SCHEDULE_RETRY_MS;
+      item.updatedAt = Date.now();
+    }
+    if (isConnectionLostError(err)) {
+      markConnectionLost(session, connId);
+    }
   }
+  saveSchedules();
 }
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', sessions: Object.keys(sessions).length });
+function isScheduleDue(item, now) {
+  return item.status === 'scheduled' && item.nextAttemptAt <= now;
+}
+
+// Start a worker for every connection with due items. Called by the scheduler timer.
+function runScheduler() {
+  if (shuttingDown) return;
+  const now = Date.now();
+  const connIds = new Set(Object.values(scheduledMessages)
+    .filter(item => isScheduleDue(item, now))
+    .map(item => item.connectionId));
+  connIds.forEach(startSchedulerWorker);
+}
+
+// Like the queue, each connection sends its own due items one at a time, so a slow or unreachable
+// session doesn't hold back the schedules of other connections
+function startSchedulerWorker(connId) {
+  if (schedulerWorkers[connId]) return;
+  schedulerWorkers[connId] = true;
+  runSchedulerWorker(connId)
+    .catch(err => log.error('schedule.worker_failed', connId, `Scheduler error: ${err.message}`, errorFields(err)))
+    .finally(() => { delete schedulerWorkers[connId]; });
+}
+
+async function runSchedulerWorker(connId) {
+  const now = Date.now();
+  const due = Object.values(scheduledMessages)
+    .filter(item => item.connectionId === connId && isScheduleDue(item, now))
+    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+  for (const item of due) {
+    if (shuttingDown) return;
+    if (item.status !== 'scheduled') continue; // cancelled meanwhile
+    await fireSchedule(item);
+  }
+}
+
+app.post('/api/schedules', requireConnectionToken, (req, res) => {
+  const { instance_id, connection_id } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+  const payload = Object.fromEntries(Object.entries(req.body).filter(([key]) => !SCHEDULE_FIELDS.includes(key)));
+  const payloadError = validateSendPayload(payload);
+  if (payloadError) {
+    return sendError(res, 'VALIDATION_ERROR', payloadError);
+  }
+  const recipient = payload.to ? requireRecipient(res, connId, payload.to, req.body.default_country) : null;
+  if (payload.to && !recipient) return;
+  if (recipient) payload.to = recipient.jid;
+  const { fields, error } = parseScheduleFields(req.body);
+  if (error) {
+    return sendError(res, 'VALIDATION_ERROR', error);
+  }
+
+  const now = Date.now();
+  const item = {
+    id: crypto.randomUUID(),
+    connectionId: connId,
+    payload: spoolMedia(connId, payload),
+    recipient,
+    sendAt: fields.sendAt,
+    repeat: fields.repeat || null,
+    repeatUntil: fields.repeatUntil || null,
+    timezone: fields.timezone || 'UTC',
+    status: 'scheduled',
+    attempts: 0,
+    nextAttemptAt: fields.sendAt,
+    runs: 0,
+    lastResult: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  scheduledMessages[item.id] = item;
+  saveSchedules();
+  log.info('schedule.created', connId, `Message to ${payload.to} scheduled for ${new Date(item.sendAt).toISOString()}${item.repeat ? ` (${item.repeat})` : ''}`, { schedule_id: item.id });
+  res.status(201).json(serializeSchedule(item));
 });
 
-// Get QR code for connection
-app.post('/api/get-qr', async (req, res) => {
-  const { instance_id, connection_id, token, webhook_url } = req.body;
-  const connId = connection_id || instance_id; // Support both for backwards compatibility
-  
+app.post('/api/schedules/list', requireConnectionToken, (req, res) => {
+  const { instance_id, connection_id, status } = req.body;
+  const connId = connection_id || instance_id;
+
   if (!connId) {
-    return res.status(400).json({ error: 'connection_id required' });
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
   }
 
-  console.log(`[${connId}] GET-QR request`);
-  
-  const session = initClient(connId, webhook_url);
+  const items = Object.values(scheduledMessages)
+    .filter(item => item.connectionId === connId && (!status || item.status === status))
+    .sort((a, b) => a.sendAt - b.sendAt)
+    .map(serializeSchedule);
+  res.json({ total: items.length, schedules: items });
+});
 
-  // If already connected
-  if (session.status === 'connected') {
-    return res.json({ 
-      status: 'connected', 
-      phone_number: session.phone 
+// Edit the message and/or timing. Failed items can be given a new send_at to try again.
+app.post('/api/schedules/:id/update', requireConnectionToken, (req, res) => {
+  const item = getOwnItem(req, res, scheduledMessages, 'Scheduled message not found');
+  if (!item) return;
+  if (!['scheduled', 'failed'].includes(item.status)) {
+    return sendError(res, 'CONFLICT', `Cannot edit a ${item.status} scheduled message`, { status: item.status });
+  }
+
+  const changes = Object.fromEntries(Object.entries(req.body).filter(([key]) => !SCHEDULE_FIELDS.includes(key) && key !== 'media_ref'));
+  let payload = { ...item.payload, ...changes };
+  const payloadError = validateSendPayload(payload);
+  if (payloadError) {
+    return sendError(res, 'VALIDATION_ERROR', payloadError);
+  }
+  let { recipient } = item;
+  if (changes.to) {
+    recipient = requireRecipient(res, item.connectionId, changes.to, req.body.default_country);
+    if (!recipient) return;
+    payload.to = recipient.jid;
+  }
+  const { fields, error } = parseScheduleFields(req.body, item);
+  if (error) {
+    return sendError(res, 'VALIDATION_ERROR', error);
+  }
+
+  // New media replaces the spooled file
+  if (changes.media !== undefined) {
+    releaseSpooledMedia(item.payload);
+    payload = spoolMedia(item.connectionId, payload);
+  }
+
+  Object.assign(item, fields, { payload, recipient, status: 'scheduled', attempts: 0, error: null, updatedAt: Date.now() });
+  item.nextAttemptAt = item.sendAt;
+  saveSchedules();
+  log.info('schedule.updated', item.connectionId, `Scheduled message ${item.id} updated`, { schedule_id: item.id });
+  res.json(serializeSchedule(item));
+});
+
+app.post('/api/schedules/:id/cancel', requireConnectionToken, (req, res) => {
+  const item = getOwnItem(req, res, scheduledMessages, 'Scheduled message not found');
+  if (!item) return;
+  if (item.status !== 'scheduled') {
+    return sendError(res, 'CONFLICT', `Cannot cancel a ${item.status} scheduled message`, { status: item.status });
+  }
+
+  item.status = 'cancelled';
+  item.updatedAt = Date.now();
+  releaseSpooledMedia(item.payload);
+  saveSchedules();
+  log.info('schedule.cancelled', item.connectionId, `Scheduled message ${item.id} cancelled`, { schedule_id: item.id });
+  res.json(serializeSchedule(item));
+});
+
+function serializeDeadLetter(entry) {
+  return {
+    event_id: entry.id,
+    connection_id: entry.connectionId,
+    kind: entry.kind,
+    event: entry.event,
+    url: entry.url,
+    attempts: entry.attempts,
+    last_error: entry.lastError,
+    failed_at: toIso(entry.failedAt),
+    payload: entry.spooledMedia
+      ? { ...entry.payload, data: { ...entry.payload.data, media: withoutSpooledMedia({ ...entry.payload.data.media, ...entry.spooledMedia }) } }
+      : entry.payload
+  };
+}
+
+// List failed webhook / callback deliveries. With the admin key, connection_id may be omitted to list all.
+app.post('/api/dead-letters', requireConnectionToken, (req, res) => {
+  const { instance_id, connection_id, limit = 100 } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId && !isAdminRequest(req)) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+
+  const entries = deadLetters.filter(entry => !connId || entry.connectionId === connId);
+  res.json({
+    total: entries.length,
+    dead_letters: entries.slice(-Math.max(parseInt(limit, 10) || 100, 1)).map(serializeDeadLetter)
+  });
+});
+
+// Replay dead letters (all of the connection's, or only `event_ids`). Each is retried once;
+// delivered ones are removed from the log, failed ones stay with the new error.
+app.post('/api/dead-letters/replay', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, event_ids } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId && !isAdminRequest(req)) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+  if (event_ids !== undefined && !Array.isArray(event_ids)) {
+    return sendError(res, 'VALIDATION_ERROR', 'event_ids must be an array');
+  }
+
+  const entries = deadLetters.filter(entry =>
+    (!connId || entry.connectionId === connId) && (!event_ids || event_ids.includes(entry.id))
+  );
+  log.info('dead_letter.replay', connId || null, `Replaying ${entries.length} dead letter(s)`, { count: entries.length });
+
+  const results = [];
+  for (const entry of entries) {
+    const { attempts, lastError, failedAt, ...delivery } = entry;
+    let result;
+    try {
+      result = await postSigned(withSpooledMedia(delivery));
+    } catch (err) {
+      // The spooled attachment is gone: the entry can't be replayed as it was
+      result = { ok: false, error: err.message };
+    }
+    const index = deadLetters.findIndex(item => item.id === entry.id);
+    if (result.ok) {
+      if (index !== -1) releaseDeadLetter(deadLetters.splice(index, 1)[0]);
+    } else if (index !== -1) {
+      deadLetters[index] = { ...entry, attempts: attempts + 1, lastError: result.error, failedAt: Date.now() };
+    }
+    results.push({ event_id: entry.id, delivered: result.ok, error: result.ok ? null : result.error });
+  }
+  saveDeadLetters();
+
+  res.json({
+    replayed: results.length,
+    delivered: results.filter(r => r.delivered).length,
+    results
+  });
+});
+
+// Admin API: every session of the bridge, in memory and on disk. Requires ADMIN_API_KEY.
+function requireAdminKey(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return sendError(res, 'ADMIN_DISABLED', 'Admin API disabled: ADMIN_API_KEY is not set');
+  }
+  if (!isAdminRequest(req)) {
+    return sendError(res, 'UNAUTHORIZED', 'Admin key required');
+  }
+  validateBody(req, res, next);
+}
+
+// `:connectionId` ends up in the same session paths as a body connection_id (see requireConnectionToken)
+function requireConnectionIdParam(req, res, next) {
+  if (!isValidConnectionId(req.params.connectionId)) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id may only contain letters, digits, _ and -');
+  }
+  next();
+}
+
+function serializeAdminSession(connId, session, stored) {
+  return {
+    connection_id: connId,
+    status: session?.status || 'not_loaded',
+    phone_number: session?.phone || null,
+    webhook_url: session?.webhookUrl || null,
+    has_client: !!session?.client,
+    in_memory: !!session,
+    on_disk: stored,
+    // Saved login that nothing has loaded since the last restart
+    orphaned: stored && !session,
+    token_bound: !!getConnectionConfig(connId)?.tokenHash,
+    last_activity: toIso(session?.lastActivity),
+    last_used_at: toIso(session?.lastUsedAt),
+    connected_at: toIso(session?.connectedAt),
+    uptime_seconds: session?.connectedAt ? Math.floor((Date.now() - session.connectedAt) / 1000) : null,
+    reconnect_attempt: session?.reconnect?.attempt || null
+  };
+}
+
+app.get('/api/admin/sessions', requireAdminKey, async (req, res) => {
+  try {
+    const stored = new Set(await listStoredSessions());
+    const ids = [...new Set([...Object.keys(sessions), ...stored])].sort();
+    const list = ids.map(id => serializeAdminSession(id, sessions[id], stored.has(id)));
+    const byStatus = {};
+    for (const entry of list) byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+    res.json({
+      total: list.length,
+      live_clients: liveClientCount(),
+      max_live_clients: MAX_LIVE_CLIENTS || null,
+      by_status: byStatus,
+      sessions: list
     });
+  } catch (err) {
+    log.error('admin.list_failed', null, `List sessions error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
   }
+});
 
-  // If QR is ready
-  if (session.qr) {
-    return res.json({ 
-      qr: session.qr, 
-      status: 'qr_pending' 
+// Force-destroy the client of a connection. The saved login is kept, so it can be started again.
+app.post('/api/admin/sessions/:connectionId/destroy', requireAdminKey, requireConnectionIdParam, async (req, res) => {
+  const { connectionId } = req.params;
+  const session = sessions[connectionId];
+  if (!session) {
+    return sendError(res, 'NOT_FOUND', 'Session not loaded');
+  }
+
+  log.info('admin.destroy', connectionId, 'Admin destroy request');
+  cancelReconnect(session);
+  const hadClient = !!session.client;
+  await teardownClient(session, connectionId);
+  session.status = 'disconnected';
+  clearPairing(session);
+  saveSessionMeta(connectionId, { disconnected: true });
+  if (hadClient) sendStatusCallback(connectionId, 'disconnected', null, { reason: 'admin_destroy' });
+  res.json({ success: true, connection_id: connectionId, had_client: hadClient });
+});
+
+// Destroy the client and delete the saved login (`session-*` directory / RemoteAuth backup).
+// The connection has to scan a new QR afterwards; its token binding is kept.
+app.post('/api/admin/sessions/:connectionId/purge', requireAdminKey, requireConnectionIdParam, async (req, res) => {
+  const { connectionId } = req.params;
+  log.info('admin.purge', connectionId, 'Admin purge request');
+
+  const session = sessions[connectionId];
+  if (session) {
+    cancelReconnect(session);
+    await teardownClient(session, connectionId);
+    delete sessions[connectionId];
+    sendStatusCallback(connectionId, 'disconnected', null, { reason: 'admin_purge', logged_out: true });
+  }
+
+  try {
+    await deleteStoredSession(connectionId);
+    if (getConnectionConfig(connectionId)) {
+      updateConnectionConfig(connectionId, { phone: null });
+    }
+    res.json({ success: true, connection_id: connectionId });
+  } catch (err) {
+    log.error('admin.purge_failed', connectionId, `Purge error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
+  }
+});
+
+// Restart clients from their saved login: `connection_ids`, or every saved session when omitted.
+// Restarts run in the background with the same pacing as restoreSessions.
+app.post('/api/admin/sessions/restart', requireAdminKey, async (req, res) => {
+  const { connection_ids } = req.body;
+  if (connection_ids !== undefined && (!Array.isArray(connection_ids) || connection_ids.length === 0)) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_ids must be a non-empty array');
+  }
+  const invalid = (connection_ids || []).filter(id => !isValidConnectionId(id));
+  if (invalid.length) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_ids may only contain letters, digits, _ and -', { connection_ids: invalid });
+  }
+
+  let ids;
+  try {
+    const stored = await listStoredSessions();
+    // Without explicit ids, sessions disconnected on purpose stay stopped (as in restoreSessions)
+    ids = connection_ids || stored.filter(id => !getConnectionConfig(id)?.disconnected);
+    const missing = ids.filter(id => !stored.includes(id));
+    if (missing.length) {
+      return sendError(res, 'NOT_FOUND', 'No saved session for some connections', { connection_ids: missing });
+    }
+  } catch (err) {
+    log.error('admin.restart_failed', null, `Restart error: ${err.message}`, errorFields(err));
+    return sendServerError(res, err);
+  }
+
+  log.info('admin.restart', null, `Restarting ${ids.length} session(s)`, { count: ids.length });
+  res.status(202).json({ restarting: ids.length, connection_ids: ids });
+
+  for (const id of ids) {
+    const session = getSession(id);
+    cancelReconnect(session);
+    await teardownClient(session, id);
+    session.status = 'disconnected';
+    if (!hasClientCapacity(id)) {
+      session.status = 'hibernated';
+      log.info('admin.restart_skipped', id, 'Pool full, restarted session left hibernated', { reason: 'capacity' });
+      continue;
+    }
+    try {
+      initClient(id, session.webhookUrl);
+    } catch (err) {
+      log.error('admin.restart_failed', id, `Restart error: ${err.message}`, errorFields(err));
+      continue;
+    }
+    await humanDelay(3000, 5000);
+  }
+});
+
+// Download an oversized incoming attachment referenced by a message webhook
+app.get('/api/media/:mediaId', requireConnectionToken, (req, res) => {
+  const connId = req.connectionId;
+  const { mediaId } = req.params;
+
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+  if (!/^[0-9a-f-]{36}$/i.test(mediaId)) {
+    return sendError(res, 'NOT_FOUND', 'Media not found');
+  }
+
+  const { dataFile, metaFile } = mediaFilePaths(mediaId);
+  const meta = readJsonFile(metaFile, null);
+  if (!meta || meta.spooled || meta.connection_id !== connId || meta.expiresAt < Date.now() || !fs.existsSync(dataFile)) {
+    return sendError(res, 'NOT_FOUND', 'Media not found or expired');
+  }
+
+  // res.attachment encodes non-Latin-1 names (filename*=UTF-8''...), a raw header would throw on them
+  if (meta.filename) res.attachment(meta.filename);
+  res.setHeader('Content-Type', meta.mimetype || 'application/octet-stream');
+  fs.createReadStream(dataFile).pipe(res);
+});
+
+// Groups
+const GROUP_PARTICIPANT_ACTIONS = {
+  add: 'addParticipants',
+  remove: 'removeParticipants',
+  promote: 'promoteParticipants',
+  demote: 'demoteParticipants'
+};
+
+function serializeGroup(chat, { withParticipants = false } = {}) {
+  const participants = chat.participants || [];
+  const group = {
+    id: chat.id?._serialized,
+    name: chat.name || null,
+    description: chat.description || null,
+    owner: chat.owner?._serialized || null,
+    created_at: chat.createdAt ? new Date(chat.createdAt).toISOString() : null,
+    participants_count: participants.length,
+    unread_count: chat.unreadCount || 0
+  };
+  if (withParticipants) {
+    group.participants = participants.map(p => ({
+      id: p.id?._serialized,
+      is_admin: !!p.isAdmin,
+      is_super_admin: !!p.isSuperAdmin
+    }));
+  }
+  return group;
+}
+
+// Load a group chat by id. Sends a 404 and returns null when it isn't a group we are in.
+async function getGroupChat(session, groupId, res) {
+  const chat = await withTimeout(session.client.getChatById(toGroupId(groupId)), 15000, 'Get group timeout after 15s')
+    .catch(() => null);
+  if (!chat || !chat.isGroup) {
+    sendError(res, 'NOT_FOUND', 'Group not found');
+    return null;
+  }
+  return chat;
+}
+
+function inviteLink(code) {
+  return `https://chat.whatsapp.com/${code}`;
+}
+
+// List groups the connected number is part of
+app.post('/api/groups', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, include_participants = false } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  try {
+    const chats = await withTimeout(session.client.getChats(), 30000, 'Get chats timeout after 30s');
+    const groups = chats
+      .filter(chat => chat.isGroup)
+      .map(chat => serializeGroup(chat, { withParticipants: include_participants }));
+    res.json({ total: groups.length, groups });
+  } catch (err) {
+    log.error('group.list_failed', connId, `List groups error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
+  }
+});
+
+app.post('/api/groups/create', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, name, participants } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId || !name || !Array.isArray(participants) || participants.length === 0) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id, name and participants (non-empty array) required');
+  }
+
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  try {
+    log.info('group.create', connId, `Creating group "${name}" with ${participants.length} participant(s)`, { participants: participants.length });
+    const result = await withTimeout(
+      session.client.createGroup(name, participants.map(toChatId)),
+      30000,
+      'Create group timeout after 30s'
+    );
+    // Older whatsapp-web.js versions return a string error instead of throwing
+    if (typeof result === 'string') {
+      return sendError(res, 'WHATSAPP_ERROR', result);
+    }
+    res.json({
+      success: true,
+      group_id: result.gid?._serialized || result.gid || null,
+      participants: result.participants || {}
     });
+  } catch (err) {
+    log.error('group.create_failed', connId, `Create group error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
+  }
+});
+
+app.post('/api/groups/join', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, invite_code } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId || !invite_code) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id and invite_code required');
+  }
+
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  try {
+    // Accept a full invite link as well as the bare code
+    const code = String(invite_code).trim().replace(/^https?:\/\/chat\.whatsapp\.com\//i, '');
+    const groupId = await withTimeout(session.client.acceptInvite(code), 30000, 'Join group timeout after 30s');
+    log.info('group.joined', connId, `Joined group ${groupId}`, { group_id: groupId });
+    res.json({ success: true, group_id: groupId });
+  } catch (err) {
+    log.error('group.join_failed', connId, `Join group error: ${err.message}`, errorFields(err));
+    sendError(res, 'WHATSAPP_ERROR', `Could not join group: ${err.message}`);
+  }
+});
+
+app.post('/api/groups/:groupId/info', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
+  }
+
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  const chat = await getGroupChat(session, req.params.groupId, res);
+  if (!chat) return;
+
+  res.json(serializeGroup(chat, { withParticipants: true }));
+});
+
+// Add / remove / promote / demote participants
+app.post('/api/groups/:groupId/participants', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, action, participants } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId || !Array.isArray(participants) || participants.length === 0) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id and participants (non-empty array) required');
+  }
+  const method = GROUP_PARTICIPANT_ACTIONS[action];
+  if (!method) {
+    return sendError(res, 'VALIDATION_ERROR', `action must be one of: ${Object.keys(GROUP_PARTICIPANT_ACTIONS).join(', ')}`);
   }
 
-  // Still initializing/waiting for QR
-  return res.json({ status: 'pending' });
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  const chat = await getGroupChat(session, req.params.groupId, res);
+  if (!chat) return;
+
+  try {
+    log.info('group.participants', connId, `Group ${chat.id._serialized}: ${action} ${participants.length} participant(s)`, { group_id: chat.id._serialized, action });
+    const result = await withTimeout(chat[method](participants.map(toChatId)), 30000, `Group ${action} timeout after 30s`);
+    res.json({ success: true, action, result: result ?? null });
+  } catch (err) {
+    log.error('group.participants_failed', connId, `Group ${action} error: ${err.message}`, { action, ...errorFields(err) });
+    sendServerError(res, err);
+  }
 });
 
-// Get status
-app.post('/api/status', async (req, res) => {
+app.post('/api/groups/:groupId/invite', requireConnectionToken, async (req, res) => {
   const { instance_id, connection_id } = req.body;
   const connId = connection_id || instance_id;
-  
+
   if (!connId) {
-    return res.status(400).json({ error: 'connection_id required' });
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
   }
 
-  const session = getSession(connId);
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
 
-  // Proactive sync: sometimes WA shows the device as linked, but our in-memory status
-  // may stay on "connecting/qr_pending" if the "ready" event didn't fire yet.
-  // If we can confirm CONNECTED state, force-session to connected and notify backend.
-  if (session.client && session.status !== 'connected') {
-    try {
-      const statePromise = session.client.getState();
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('State check timeout')), 4000)
-      );
-      const state = await Promise.race([statePromise, timeoutPromise]);
-      if (state === 'CONNECTED') {
-        session.status = 'connected';
-        session.qr = null;
-        try {
-          const info = session.client.info;
-          session.phone = info?.wid?.user || session.phone || null;
-        } catch (e) {
-          // ignore phone extraction issues
-        }
-        sendStatusCallback(connId, 'connected', session.phone);
-      }
-    } catch (e) {
-      // Do not regress status on transient errors/timeouts.
-    }
-  }
-  
-  // If session thinks it's connected, verify real state
-  if (session.status === 'connected' && session.client) {
-    const stateCheck = await verifyConnectionState(session, connId);
-    if (!stateCheck.connected) {
-      return res.json({
-        status: 'disconnected',
-        phone_number: null,
-        has_qr: false,
-        reason: stateCheck.reason
-      });
-    }
+  const chat = await getGroupChat(session, req.params.groupId, res);
+  if (!chat) return;
+
+  try {
+    const code = await withTimeout(chat.getInviteCode(), 15000, 'Get invite code timeout after 15s');
+    res.json({ invite_code: code, invite_link: inviteLink(code) });
+  } catch (err) {
+    log.error('group.invite_failed', connId, `Get invite code error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
   }
-  
-  res.json({
-    status: session.status,
-    phone_number: session.phone,
-    has_qr: !!session.qr
-  });
 });
 
-// Disconnect connection
-app.post('/api/disconnect', async (req, res) => {
+app.post('/api/groups/:groupId/invite/revoke', requireConnectionToken, async (req, res) => {
   const { instance_id, connection_id } = req.body;
   const connId = connection_id || instance_id;
-  
+
   if (!connId) {
-    return res.status(400).json({ error: 'connection_id required' });
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
   }
 
-  console.log(`[${connId}] Disconnect request`);
-  
-  const session = getSession(connId);
-  
-  if (session.client) {
-    try {
-      await session.client.logout();
-      await session.client.destroy();
-    } catch (e) {
-      console.error(`[${connId}] Disconnect error:`, e);
-    }
-  }
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
 
-  session.client = null;
-  session.qr = null;
-  session.status = 'disconnected';
-  session.phone = null;
+  const chat = await getGroupChat(session, req.params.groupId, res);
+  if (!chat) return;
 
-  res.json({ status: 'disconnected' });
+  try {
+    const code = await withTimeout(chat.revokeInvite(), 15000, 'Revoke invite timeout after 15s');
+    log.info('group.invite_revoked', connId, `Invite link revoked for ${chat.id._serialized}`, { group_id: chat.id._serialized });
+    res.json({ success: true, invite_code: code || null, invite_link: code ? inviteLink(code) : null });
+  } catch (err) {
+    log.error('group.invite_failed', connId, `Revoke invite error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
+  }
 });
 
-// NEW: Reconnect endpoint - force reconnection using saved session
-app.post('/api/reconnect', async (req, res) => {
-  const { instance_id, connection_id, webhook_url } = req.body;
+// Update subject and/or description (requires admin rights in the group)
+app.post('/api/groups/:groupId/update', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, subject, description } = req.body;
   const connId = connection_id || instance_id;
-  
-  if (!connId) {
-    return res.status(400).json({ error: 'connection_id required' });
+
+  if (!connId || (subject === undefined && description === undefined)) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id and subject or description required');
   }
 
-  console.log(`[${connId}] Reconnect request`);
-  
-  const session = getSession(connId);
-  
-  // Destroy existing client if any
-  if (session.client) {
-    try {
-      await session.client.destroy();
-    } catch (e) {
-      console.log(`[${connId}] Error destroying old client:`, e.message);
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  const chat = await getGroupChat(session, req.params.groupId, res);
+  if (!chat) return;
+
+  try {
+    const result = {};
+    if (subject !== undefined) {
+      result.subject_updated = !!(await withTimeout(chat.setSubject(subject), 15000, 'Set subject timeout after 15s'));
     }
+    if (description !== undefined) {
+      result.description_updated = !!(await withTimeout(chat.setDescription(description), 15000, 'Set description timeout after 15s'));
+    }
+    // whatsapp-web.js returns false instead of throwing when we are not an admin
+    const success = Object.values(result).every(Boolean);
+    res.status(success ? 200 : 403).json({
+      success,
+      ...result,
+      ...(success ? {} : { error: 'Not allowed to update this group (admin rights required)' })
+    });
+  } catch (err) {
+    log.error('group.update_failed', connId, `Update group error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
   }
-  
-  // Reset session state
-  session.client = null;
-  session.status = 'disconnected';
-  session.qr = null;
-  
-  // Store webhook URL if provided
-  if (webhook_url) {
-    session.webhookUrl = webhook_url;
-  }
-  
-  // Re-initialize client (will use saved LocalAuth session if available)
-  initClient(connId, session.webhookUrl);
-  
-  res.json({ status: 'reconnecting', message: 'Attempting to reconnect...' });
 });
 
-// Check if a number has WhatsApp
-app.post('/api/check-number', async (req, res) => {
-  const { instance_id, connection_id, number } = req.body;
+// History fetches look back at most this many messages when paginating with `before`
+const HISTORY_MAX_SCAN = 2000;
+
+function clampInt(value, fallback, min, max) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.min(Math.max(parsed, min), max);
+}
+
+function serializeChat(chat) {
+  return {
+    id: chat.id?._serialized,
+    name: chat.name || null,
+    is_group: !!chat.isGroup,
+    unread_count: chat.unreadCount || 0,
+    timestamp: chat.timestamp || null,
+    archived: !!chat.archived,
+    pinned: !!chat.pinned,
+    muted: !!chat.isMuted,
+    last_message: chat.lastMessage ? serializeMessage(chat.lastMessage) : null
+  };
+}
+
+// List chats, most recent first
+app.post('/api/chats', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, limit, offset, unread_only = false } = req.body;
   const connId = connection_id || instance_id;
-  
-  if (!connId || !number) {
-    return res.status(400).json({ error: 'connection_id and number required' });
+
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
   }
 
-  console.log(`[${connId}] Check number: ${number}`);
-  
-  const session = getSession(connId);
-  
-  // Basic check
-  if (!session.client || session.status !== 'connected') {
-    console.log(`[${connId}] Check failed: client=${!!session.client}, status=${session.status}`);
-    return res.status(400).json({ 
-      error: 'Connection not connected',
-      status: session.status,
-      needs_reconnect: true
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  try {
+    const pageSize = clampInt(limit, 50, 1, 200);
+    const start = clampInt(offset, 0, 0, Number.MAX_SAFE_INTEGER);
+    let chats = await withTimeout(session.client.getChats(), 30000, 'Get chats timeout after 30s');
+    if (unread_only) {
+      chats = chats.filter(chat => chat.unreadCount > 0);
+    }
+    chats.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+    res.json({
+      total: chats.length,
+      offset: start,
+      limit: pageSize,
+      chats: chats.slice(start, start + pageSize).map(serializeChat)
     });
+  } catch (err) {
+    log.error('chats.failed', connId, `Get chats error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
   }
+});
 
-  // Verify connection state
-  const stateCheck = await verifyConnectionState(session, connId, 3000);
-  if (!stateCheck.connected) {
-    console.log(`[${connId}] State check failed: ${stateCheck.reason}`);
-    return res.status(400).json({ 
-      error: 'WhatsApp session expired. Please reconnect.',
-      status: 'disconnected',
-      reason: stateCheck.reason,
-      needs_reconnect: true
-    });
+// Fetch the messages of a chat, oldest first. `before` (message id) pages back in history.
+app.post('/api/chats/:chatId/messages', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, limit, before } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
   }
 
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  const chatId = toChatId(req.params.chatId);
+  const pageSize = clampInt(limit, 50, 1, 500);
+
   try {
-    // Format number: ensure @c.us suffix
-    let chatId = number;
-    if (!chatId.includes('@')) {
-      chatId = `${chatId.replace(/[^0-9]/g, '')}@c.us`;
+    const chat = await withTimeout(session.client.getChatById(chatId), 15000, 'Get chat timeout after 15s');
+    if (!chat) {
+      return sendError(res, 'NOT_FOUND', 'Chat not found');
     }
 
-    // Check if number is registered on WhatsApp
-    const numberId = await session.client.getNumberId(chatId);
-    
-    if (numberId) {
-      console.log(`[${connId}] Number ${number} has WhatsApp: ${numberId._serialized}`);
-      res.json({
-        exists: true,
-        whatsapp_id: numberId._serialized,
-        number: number
-      });
-    } else {
-      console.log(`[${connId}] Number ${number} does NOT have WhatsApp`);
-      res.json({
-        exists: false,
-        number: number
+    if (!before) {
+      const messages = await withTimeout(chat.fetchMessages({ limit: pageSize }), 30000, 'Fetch messages timeout after 30s');
+      return res.json({
+        chat_id: chatId,
+        messages: messages.map(serializeMessage),
+        has_more: messages.length === pageSize
       });
     }
+
+    // WA Web only loads the latest N messages, so widen the window until `before` shows up
+    for (let scan = pageSize + 100; ; scan = Math.min(scan * 2, HISTORY_MAX_SCAN)) {
+      const messages = await withTimeout(chat.fetchMessages({ limit: scan }), 30000, 'Fetch messages timeout after 30s');
+      const index = messages.findIndex(m => m.id?.id === before || m.id?._serialized === before);
+      if (index !== -1) {
+        const page = messages.slice(Math.max(0, index - pageSize), index);
+        return res.json({
+          chat_id: chatId,
+          messages: page.map(serializeMessage),
+          has_more: index > pageSize || messages.length === scan
+        });
+      }
+      if (messages.length < scan || scan >= HISTORY_MAX_SCAN) {
+        return sendError(res, 'MESSAGE_NOT_FOUND', `Message ${before} not found in the last ${messages.length} messages`);
+      }
+    }
   } catch (err) {
-    console.error(`[${connId}] Check number error:`, err);
-    res.status(500).json({ error: err.message });
+    log.error('chats.messages_failed', connId, `Fetch messages error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
   }
 });
 
-// Send message - with real state verification
-app.post('/api/send-message', async (req, res) => {
-  const { instance_id, connection_id, to, message, type = 'text' } = req.body;
+// Chat actions: mark read/unread, presence, archive, mute, pin
+const CHAT_ACTIONS = ['read', 'unread', 'typing', 'recording', 'archive', 'unarchive', 'mute', 'unmute', 'pin', 'unpin'];
+
+app.post('/api/chats/:chatId/action', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, action, duration_ms, mute_until } = req.body;
   const connId = connection_id || instance_id;
-  
-  if (!connId || !to || !message) {
-    return res.status(400).json({ error: 'connection_id, to, and message required' });
-  }
 
-  console.log(`[${connId}] Send message to ${to}`);
-  
-  const session = getSession(connId);
-  
-  // Basic check
-  if (!session.client || session.status !== 'connected') {
-    console.log(`[${connId}] Basic check failed: client=${!!session.client}, status=${session.status}`);
-    return res.status(400).json({ 
-      error: 'Connection not connected',
-      status: session.status,
-      needs_reconnect: true
-    });
+  if (!connId || !action) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id and action required');
   }
-
-  // Quick state verification with short timeout (skip if it takes too long)
-  console.log(`[${connId}] Verifying connection state...`);
-  const stateCheck = await verifyConnectionState(session, connId, 3000);
-  if (!stateCheck.connected) {
-    console.log(`[${connId}] State check failed: ${stateCheck.reason}`);
-    return res.status(400).json({ 
-      error: 'WhatsApp session expired. Please reconnect.',
-      status: 'disconnected',
-      reason: stateCheck.reason,
-      needs_reconnect: true
-    });
+  if (!CHAT_ACTIONS.includes(action)) {
+    return sendError(res, 'VALIDATION_ERROR', `action must be one of: ${CHAT_ACTIONS.join(', ')}`);
+  }
+  const unmuteDate = mute_until ? new Date(mute_until) : null;
+  if (unmuteDate && Number.isNaN(unmuteDate.getTime())) {
+    return sendError(res, 'VALIDATION_ERROR', 'mute_until must be an ISO date');
   }
-  console.log(`[${connId}] State OK, sending message...`);
+
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  const chatId = toChatId(req.params.chatId);
+  const { client } = session;
 
   try {
-    // Ensure runtime patches are applied before sending.
-    await applyRuntimePatches(session.client, connId);
+    if (action === 'read') {
+      const method = await markChatSeen(client, connId, chatId);
+      return res.json({ success: true, action, chat_id: chatId, method });
+    }
 
-    // Format number: ensure @c.us suffix
-    let chatId = to;
-    if (!chatId.includes('@')) {
-      chatId = `${chatId.replace(/[^0-9]/g, '')}@c.us`;
+    const chat = await withTimeout(client.getChatById(chatId), 15000, 'Get chat timeout after 15s').catch(() => null);
+    if (!chat) {
+      return sendError(res, 'NOT_FOUND', 'Chat not found');
     }
 
-    // Delay uman înainte de trimitere (reduce riscul de ban)
-    await humanDelay(300, 800);
-    
-    // Add timeout to sendMessage to prevent hanging
-    const sendPromise = session.client.sendMessage(chatId, message);
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Send message timeout after 30s')), 30000)
-    );
-    
-    const result = await Promise.race([sendPromise, timeoutPromise]);
-    console.log(`[${connId}] Message sent successfully to ${to}`);
-    
-    res.json({
-      success: true, 
-      messageId: result.id?.id,
-      timestamp: result.timestamp
-    });
-  } catch (err) {
-    console.error(`[${connId}] Send error:`, err);
-    
-    // If send fails, check if it's a connection issue
-    if (err.message.includes('Protocol error') || err.message.includes('Session closed')) {
-      session.status = 'disconnected';
-      session.client = null;
-      sendStatusCallback(connId, 'disconnected');
-      return res.status(400).json({ 
-        error: 'Connection lost during send. Please reconnect.',
-        needs_reconnect: true
+    if (PRESENCE_TYPES.includes(action)) {
+      // Respond right away; the presence is cleared in the background after the duration
+      const durationMs = clampInt(duration_ms, 5000, 1000, PRESENCE_MAX_MS);
+      simulatePresence(client, chatId, action, durationMs).catch(err => {
+        log.warn('chat.presence_failed', connId, `Presence ${action} failed: ${err.message}`, { action, error: err.message });
       });
+      return res.json({ success: true, action, chat_id: chatId, duration_ms: durationMs });
     }
-    
-    res.status(500).json({ error: err.message });
+
+    let result;
+    switch (action) {
+      case 'unread': result = await chat.markUnread(); break;
+      case 'archive': result = await chat.archive(); break;
+      case 'unarchive': result = await chat.unarchive(); break;
+      case 'mute': result = await chat.mute(unmuteDate || undefined); break;
+      case 'unmute': result = await chat.unmute(); break;
+      case 'pin': result = await chat.pin(); break;
+      case 'unpin': result = await chat.unpin(); break;
+      default: break;
+    }
+
+    // pin() resolves false when the maximum number of pinned chats is reached
+    if (result === false) {
+      return sendError(res, 'CONFLICT', `Could not ${action} chat`, { action, chat_id: chatId });
+    }
+    log.info('chat.action', connId, `Chat action ${action} on ${chatId}`, { action, chat_id: chatId });
+    res.json({ success: true, action, chat_id: chatId });
+  } catch (err) {
+    log.error('chat.action_failed', connId, `Chat action ${action} error: ${err.message}`, { action, ...errorFields(err) });
+    sendServerError(res, err);
+  }
+});
+
+// Delete a message for everyone (only our own messages, or any message when we're a group admin)
+app.post('/api/messages/delete', requireConnectionToken, async (req, res) => {
+  const { instance_id, connection_id, message_id, chat_id, for_everyone = true } = req.body;
+  const connId = connection_id || instance_id;
+
+  if (!connId || !message_id) {
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id and message_id required');
+  }
+
+  const session = await getConnectedSession(connId, res);
+  if (!session) return;
+
+  try {
+    const message = await findMessage(session.client, chat_id ? toChatId(chat_id) : null, message_id);
+    if (!message) {
+      return sendError(res, 'MESSAGE_NOT_FOUND', `Message ${message_id} not found`);
+    }
+    await withTimeout(message.delete(!!for_everyone), 15000, 'Delete message timeout after 15s');
+    log.info('message.deleted', connId, `Message ${message.id?.id} deleted${for_everyone ? ' for everyone' : ''}`, { message_id: message.id?.id || null, for_everyone: !!for_everyone });
+    res.json({ success: true, message_id: message.id?.id, for_everyone: !!for_everyone });
+  } catch (err) {
+    log.error('message.delete_failed', connId, `Delete message error: ${err.message}`, errorFields(err));
+    sendServerError(res, err);
   }
 });
 
 // Keep-alive endpoint - ping to maintain session active
-app.post('/api/keep-alive', async (req, res) => {
+app.post('/api/keep-alive', requireConnectionToken, async (req, res) => {
   const { instance_id, connection_id } = req.body;
   const connId = connection_id || instance_id;
   
   if (!connId) {
-    return res.status(400).json({ error: 'connection_id required' });
+    return sendError(res, 'VALIDATION_ERROR', 'connection_id required');
   }
 
   const session = getSession(connId);
@@ -661,43 +4545,63 @@ app.post('/api/keep-alive', async (req, res) => {
   }
 });
 
-// Internal keep-alive for all connected sessions (every 3 min)
-setInterval(async () => {
+// Internal keep-alive for all connected sessions (every 3 min by default)
+const KEEP_ALIVE_INTERVAL_MS = parseInt(process.env.KEEP_ALIVE_INTERVAL_MS || `${3 * 60 * 1000}`, 10);
+
+async function runKeepAlive() {
   const connectedSessions = Object.entries(sessions).filter(([, s]) => s.status === 'connected' && s.client);
   if (connectedSessions.length === 0) return;
   
-  console.log(`[Keep-alive] Pinging ${connectedSessions.length} connected session(s)...`);
+  log.debug('keepalive.ping', null, `Pinging ${connectedSessions.length} connected session(s)...`, { count: connectedSessions.length });
   
   for (const [id, session] of connectedSessions) {
     try {
       const state = await session.client.getState();
       session.lastActivity = Date.now();
-      console.log(`[${id}] Internal keep-alive OK, state: ${state}`);
+      log.debug('keepalive.ok', id, `Internal keep-alive OK, state: ${state}`, { state });
       
       // If state is not CONNECTED, mark session as disconnected
       if (state !== 'CONNECTED') {
-        console.log(`[${id}] Session no longer connected (state: ${state}), marking as disconnected`);
-        session.status = 'disconnected';
-        session.client = null;
-        sendStatusCallback(id, 'disconnected');
+        metrics.keepAliveFailures.inc({ connection_id: id });
+        log.warn('keepalive.failed', id, `Session no longer connected (state: ${state}), marking as disconnected`, { state });
+        await handleSessionLost(id, state);
       }
     } catch (err) {
-      console.log(`[${id}] Internal keep-alive failed: ${err.message}, marking as disconnected`);
-      session.status = 'disconnected';
-      session.client = null;
-      sendStatusCallback(id, 'disconnected');
+      metrics.keepAliveFailures.inc({ connection_id: id });
+      log.warn('keepalive.failed', id, `Internal keep-alive failed: ${err.message}, marking as disconnected`, { error: err.message });
+      await handleSessionLost(id, 'keepalive_failed');
     }
   }
-}, 3 * 60 * 1000);
+}
+
+// Background timers (keep-alive, cleanup, queue, campaigns, scheduler, ...). They are registered
+// here and only started with the server, so requiring index.js from the tests has no side effects.
+const backgroundTasks = [];
+const backgroundTimers = [];
+
+function backgroundTask(task, intervalMs) {
+  backgroundTasks.push({ task, intervalMs });
+}
+
+function startBackgroundTasks() {
+  if (backgroundTimers.length > 0) return;
+  backgroundTasks.forEach(({ task, intervalMs }) => backgroundTimers.push(setInterval(task, intervalMs)));
+}
+
+function stopBackgroundTasks() {
+  backgroundTimers.splice(0).forEach(clearInterval);
+}
+
+backgroundTask(runKeepAlive, KEEP_ALIVE_INTERVAL_MS);
 
 // Cleanup inactive sessions (optional, runs every 30 min)
-setInterval(() => {
+backgroundTask(() => {
   const now = Date.now();
   const maxInactive = 30 * 60 * 1000; // 30 minutes
   
   Object.entries(sessions).forEach(async ([id, session]) => {
-    if (session.status === 'disconnected' && (now - session.lastActivity) > maxInactive) {
-      console.log(`[${id}] Cleaning up inactive session`);
+    if (session.status === 'disconnected' && !session.reconnect && (now - session.lastActivity) > maxInactive) {
+      log.info('session.cleanup', id, 'Cleaning up inactive session');
       if (session.client) {
         try {
           await session.client.destroy();
@@ -708,12 +4612,178 @@ setInterval(() => {
   });
 }, 30 * 60 * 1000);
 
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`WhatsApp Bridge running on port ${PORT}`);
-  
-  // Restore saved sessions after a short delay
-  setTimeout(() => {
-    restoreSessions();
-  }, 3000);
+// Queue timer: restart workers for connections that came back, prune old finished jobs (every 30s)
+backgroundTask(() => {
+  const now = Date.now();
+  let pruned = false;
+  for (const job of Object.values(queueJobs)) {
+    if (['sent', 'failed'].includes(job.status) && now - job.updatedAt > QUEUE_RETENTION_MS) {
+      delete queueJobs[job.id];
+      pruned = true;
+      continue;
+    }
+    const session = sessions[job.connectionId];
+    if (job.status === 'queued' && session?.client && session.status === 'connected') {
+      startQueueWorker(job.connectionId);
+    } else if (job.status === 'queued' && session?.status === 'hibernated') {
+      wakeSession(job.connectionId, { wait: false });
+    }
+  }
+  if (pruned) saveQueue();
+}, 30 * 1000);
+
+// Campaign timer: start scheduled campaigns, restart runners that were waiting, prune old
+// finished campaigns and past daily counters (every 30s)
+backgroundTask(() => {
+  const now = Date.now();
+  let pruned = false;
+  for (const [connId, entry] of Object.entries(campaignState.dailyCounts)) {
+    if (entry.date !== todayKey()) {
+      delete campaignState.dailyCounts[connId];
+      pruned = true;
+    }
+  }
+  for (const campaign of Object.values(campaignState.campaigns)) {
+    if (['completed', 'cancelled'].includes(campaign.status) && now - campaign.updatedAt > CAMPAIGN_RETENTION_MS) {
+      delete campaignState.campaigns[campaign.id];
+      pruned = true;
+      continue;
+    }
+    if (campaign.status === 'scheduled' && campaign.startAt <= now) {
+      campaign.status = 'running';
+      campaign.updatedAt = now;
+      saveCampaigns();
+      log.info('campaign.started', campaign.connectionId, `Campaign ${campaign.id} started`, { campaign_id: campaign.id });
+    }
+    if (campaign.status !== 'running') continue;
+    const session = sessions[campaign.connectionId];
+    if (session?.status === 'hibernated' && isWithinSendWindow(campaign.sendWindow)
+      && getDailyCount(campaign.connectionId) < campaign.dailyCap) {
+      wakeSession(campaign.connectionId, { wait: false });
+    }
+    startCampaignRunner(campaign.connectionId);
+  }
+  if (pruned) saveCampaigns();
+}, 30 * 1000);
+
+// Scheduler timer: send due scheduled messages, prune old finished ones (every 15s)
+backgroundTask(() => {
+  const now = Date.now();
+  let pruned = false;
+  for (const item of Object.values(scheduledMessages)) {
+    if (['sent', 'failed', 'cancelled'].includes(item.status) && now - item.updatedAt > SCHEDULE_RETENTION_MS) {
+      releaseSpooledMedia(item.payload);
+      delete scheduledMessages[item.id];
+      pruned = true;
+    }
+  }
+  if (pruned) saveSchedules();
+  runScheduler();
+}, 15 * 1000);
+
+// Hibernate connected sessions idle for SESSION_HIBERNATE_AFTER_MS (checked every minute)
+backgroundTask(async () => {
+  if (!SESSION_HIBERNATE_AFTER_MS) return;
+  const now = Date.now();
+  for (const [id, session] of Object.entries(sessions)) {
+    if (session.status !== 'connected' || !session.client) continue;
+    if (now - session.lastUsedAt < SESSION_HIBERNATE_AFTER_MS || hasPendingWork(id)) continue;
+    await hibernateSession(id);
+  }
+}, 60 * 1000);
+
+// Remove expired media files (every 10 min)
+backgroundTask(() => {
+  if (!fs.existsSync(MEDIA_CACHE_PATH)) return;
+  const now = Date.now();
+  for (const file of fs.readdirSync(MEDIA_CACHE_PATH).filter(f => f.endsWith('.json'))) {
+    const mediaId = file.replace(/\.json$/, '');
+    const meta = readJsonFile(path.join(MEDIA_CACHE_PATH, file), null);
+    // Media spooled here by older versions belongs to a queued message and is removed with it
+    if (meta && (meta.spooled || meta.expiresAt > now)) continue;
+    const { dataFile, metaFile } = mediaFilePaths(mediaId);
+    fs.rmSync(dataFile, { force: true });
+    fs.rmSync(metaFile, { force: true });
+  }
+}, 10 * 60 * 1000);
+
+// Unknown API routes and body parser failures use the error envelope too
+app.use('/api', (req, res) => {
+  sendError(res, 'NOT_FOUND', `No route for ${req.method} ${req.path}`);
+});
+
+app.use((err, req, res, next) => { // eslint-disable-line no-unused-vars
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 'PAYLOAD_TOO_LARGE', `Request body larger than ${process.env.JSON_BODY_LIMIT || '25mb'}`);
+  }
+  log.error('server.unhandled_error', null, `Unhandled error: ${err.message}`, { path: req.path, ...errorFields(err) });
+  sendError(res, 'INTERNAL_ERROR', err.message);
 });
+
+// Graceful shutdown: Railway sends SIGTERM on every redeploy. Refuse new work, let in-flight sends
+// finish, then close every client so the Chromium profiles are flushed and unlocked. The whole
+// sequence gets SHUTDOWN_TIMEOUT_MS: a hung send or browser must not keep the process alive.
+// Sessions are not marked as disconnected: restoreSessions brings them back on boot.
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '20000', 10);
+let httpServer = null;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info('server.shutdown', null, `${signal} received, shutting down...`, { signal });
+  stopBackgroundTasks();
+  if (httpServer) httpServer.close();
+  Object.values(sessions).forEach(cancelReconnect);
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  const remaining = () => Math.max(deadline - Date.now(), 0);
+
+  if (inFlightSends.size > 0) {
+    log.info('server.shutdown', null, `Waiting for ${inFlightSends.size} in-flight send(s)...`, { in_flight: inFlightSends.size });
+    await withTimeout(Promise.allSettled([...inFlightSends]), remaining(), 'Shutdown drain timeout')
+      .catch(err => log.warn('server.shutdown', null, `${err.message}, ${inFlightSends.size} send(s) abandoned`, { in_flight: inFlightSends.size }));
+  }
+
+  const live = Object.entries(sessions).filter(([, session]) => session.client);
+  log.info('server.shutdown', null, `Closing ${live.length} client(s)...`, { clients: live.length });
+  await withTimeout(Promise.all(live.map(([id, session]) => teardownClient(session, id))), remaining(), 'Shutdown close timeout')
+    .catch(err => log.warn('server.shutdown', null, `${err.message}, exiting with clients still open`));
+  flushJsonWrites();
+  log.info('server.shutdown', null, 'Shutdown complete');
+}
+
+const PORT = process.env.PORT || 3001;
+
+function startServer(port = PORT) {
+  startBackgroundTasks();
+  httpServer = app.listen(port, () => {
+    log.info('server.listening', null, `WhatsApp Bridge running on port ${port}`, { port });
+    // Build the OpenAPI document now so a broken schema fails at boot, not on the first request
+    getOpenApi();
+    
+    // Restore saved sessions after a short delay
+    setTimeout(() => {
+      if (!shuttingDown) restoreSessions();
+    }, 3000);
+  });
+  return httpServer;
+}
+
+if (require.main === module) {
+  startServer();
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.once(signal, () => {
+    shutdown(signal).finally(() => process.exit(0));
+  }));
+}
+
+module.exports = {
+  app,
+  startServer,
+  setClientFactory,
+  restoreSessions,
+  shutdown,
+  startBackgroundTasks,
+  stopBackgroundTasks
+};
@@ -0,0 +1,393 @@
+// OpenAPI 3.1 description of the bridge API, served on GET /openapi.json.
+// The request body schemas are also what index.js validates every request against, so a route's
+// body fields must be declared here. Values that live in index.js (error codes, message types, ...)
+// are passed in so the document never drifts from the code.
+
+const phone = {
+  type: ['string', 'number'],
+  description: 'Phone number (international, or local with default_country) or WhatsApp id'
+};
+const defaultCountry = {
+  type: 'string',
+  pattern: '^[A-Za-z]{2}$',
+  description: 'ISO 3166 alpha-2 country for local numbers (overrides the connection default)'
+};
+const isoDate = { type: ['string', 'number'], description: 'ISO 8601 date (or epoch milliseconds)' };
+const stringList = { type: 'array', items: { type: 'string' } };
+const phoneList = { type: 'array', items: phone, minItems: 1 };
+const recipient = {
+  type: ['object', 'null'],
+  description: 'Normalized recipient; e164/national/country are null for groups and non-phone ids',
+  properties: {
+    jid: { type: 'string', description: 'WhatsApp id, e.g. 40712345678@c.us' },
+    e164: { type: ['string', 'null'], description: 'e.g. +40712345678' },
+    national: { type: ['string', 'null'], description: 'e.g. 0712 345 678' },
+    country: { type: ['string', 'null'] }
+  }
+};
+
+// Connection ids name the session directories, so only letters, digits, _ and - are accepted
+const connectionIdSchema = { type: 'string', pattern: '^[\\w-]+$' };
+
+const connectionProperties = {
+  connection_id: { ...connectionIdSchema, description: 'Connection id' },
+  instance_id: { ...connectionIdSchema, description: 'Deprecated alias of connection_id' },
+  token: { type: 'string', description: 'Connection token (or X-Connection-Token header)' }
+};
+
+// Body of a per-connection route. `connection_id` (or its alias `instance_id`) is required unless
+// `connectionOptional` (admin callers may omit it on global listings).
+function connectionBody(properties = {}, required = [], { connectionOptional = false } = {}) {
+  const schema = {
+    type: 'object',
+    properties: { ...connectionProperties, ...properties }
+  };
+  if (required.length) schema.required = required;
+  if (!connectionOptional) {
+    schema.anyOf = [{ required: ['connection_id'] }, { required: ['instance_id'] }];
+  }
+  return schema;
+}
+
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+function jsonResponse(description, schema = { type: 'object' }) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+function errorResponses(...statuses) {
+  const descriptions = {
+    400: 'Invalid request or connection not usable',
+    401: 'Missing token / admin key',
+    403: 'Wrong token',
+    404: 'Not found',
+    409: 'Conflicting state',
+    413: 'Body too large',
+    500: 'Internal error',
+    502: 'WhatsApp rejected the operation',
+    503: 'No capacity / admin API disabled',
+    504: 'WhatsApp call timed out'
+  };
+  return Object.fromEntries(statuses.map(status => [
+    status,
+    { description: descriptions[status], content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+  ]));
+}
+
+const CONNECTION_ERRORS = [400, 401, 403, 500, 503, 504];
+
+function pathParam(name, description, extra = {}) {
+  return { name, in: 'path', required: true, description, schema: { type: 'string', ...extra } };
+}
+
+function buildOpenApiSpec({
+  version, errorCodes, webhookEvents, messageTypes, presenceTypes, chatActions, participantActions,
+  scheduleRepeats, campaignActions
+}) {
+  const webhookConfig = {
+    webhook_url: { type: 'string', description: 'URL receiving webhook events' },
+    webhook_events: { type: 'array', items: { type: 'string', enum: webhookEvents } },
+    webhook_secret: { type: 'string', description: 'HMAC secret for X-Bridge-Signature' }
+  };
+  const connectionDefaultCountry = { ...defaultCountry, description: 'Default country for local numbers on this connection' };
+
+  const messageProperties = {
+    to: phone,
+    message: { type: 'string', description: 'Text, or the caption of a media message' },
+    type: { type: 'string', enum: messageTypes, default: 'text' },
+    media: { type: 'string', description: 'Data URL, http(s) URL or raw base64 (with mimetype)' },
+    caption: { type: 'string' },
+    filename: { type: 'string' },
+    mimetype: { type: 'string' },
+    voice: { type: 'boolean', description: 'Send audio as a voice note' },
+    reply_to: { type: 'string', description: 'Id of the message to quote' },
+    mentions: { type: 'array', items: phone },
+    latitude: { type: ['number', 'string'] },
+    longitude: { type: ['number', 'string'] },
+    location_name: { type: 'string' },
+    address: { type: 'string' },
+    url: { type: 'string' },
+    contacts: { type: 'array', items: phone },
+    vcard: { type: 'string' },
+    poll: {
+      type: 'object',
+      required: ['question', 'options'],
+      properties: {
+        question: { type: 'string' },
+        options: { type: 'array', items: { type: ['string', 'number'] }, minItems: 2 },
+        allow_multiple: { type: 'boolean' }
+      }
+    },
+    message_id: { type: 'string', description: 'Target message of a reaction' },
+    emoji: { type: 'string', description: 'Reaction emoji ("" removes it)' },
+    presence: { type: 'string', enum: presenceTypes },
+    presence_ms: { type: 'integer', minimum: 0 },
+    default_country: defaultCountry
+  };
+
+  const scheduleProperties = {
+    send_at: isoDate,
+    repeat: { type: ['string', 'null'], enum: [...scheduleRepeats, null] },
+    repeat_until: { type: ['string', 'number', 'null'] },
+    timezone: { type: 'string', description: 'IANA timezone used for repeats (default UTC)' }
+  };
+
+  const sendWindow = {
+    type: 'object',
+    required: ['start', 'end'],
+    properties: {
+      start: { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' },
+      end: { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' },
+      timezone: { type: 'string' },
+      days: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } }
+    }
+  };
+
+  const paging = {
+    limit: { type: 'integer', minimum: 1 },
+    offset: { type: 'integer', minimum: 0 }
+  };
+
+  const post = (summary, body, responses = {}, extra = {}) => ({
+    post: {
+      summary,
+      ...extra,
+      requestBody: jsonBody(body),
+      responses: { 200: jsonResponse('OK'), ...responses, ...errorResponses(...CONNECTION_ERRORS) }
+    }
+  });
+
+  const groupId = [pathParam('groupId', 'Group id (with or without @g.us)')];
+  const chatId = [pathParam('chatId', 'Chat id or phone number')];
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'WhatsApp Bridge',
+      version,
+      description: 'Multi-connection WhatsApp Web bridge. Errors always use the Error schema; switch on `code`.'
+    },
+    components: {
+      securitySchemes: {
+        connectionToken: { type: 'apiKey', in: 'header', name: 'X-Connection-Token' },
+        adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key' }
+      },
+      schemas: {
+        ErrorCode: { type: 'string', enum: errorCodes },
+        Error: {
+          type: 'object',
+          required: ['error', 'code'],
+          properties: {
+            error: { type: 'string', description: 'Human readable message' },
+            code: { $ref: '#/components/schemas/ErrorCode' },
+            details: {
+              type: 'array',
+              description: 'Schema violations (VALIDATION_ERROR only)',
+              items: {
+                type: 'object',
+                properties: { path: { type: 'string' }, message: { type: 'string' } }
+              }
+            },
+            needs_reconnect: { type: 'boolean' },
+            status: { type: 'string', description: 'Connection or item status, when relevant' }
+          }
+        },
+        SendMessageResult: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            messageId: { type: ['string', 'null'] },
+            serializedId: { type: ['string', 'null'] },
+            timestamp: { type: 'integer' },
+            recipient
+          }
+        },
+        ConnectionStatus: {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            phone_number: { type: ['string', 'null'] },
+            has_qr: { type: 'boolean' },
+            has_pairing_code: { type: 'boolean' },
+            qr: { type: 'string', description: 'QR code as a PNG data URL' }
+          }
+        }
+      }
+    },
+    security: [{ connectionToken: [] }, { adminKey: [] }],
+    paths: {
+      '/health': {
+        get: { summary: 'Health check', security: [], responses: { 200: jsonResponse('OK') } }
+      },
+      '/metrics': {
+        get: {
+          summary: 'Prometheus metrics',
+          security: [{ adminKey: [] }],
+          responses: { 200: { description: 'Prometheus text format' }, ...errorResponses(401) }
+        }
+      },
+      '/api/get-qr': post('Start a connection and get its QR code',
+        connectionBody({ ...webhookConfig, default_country: connectionDefaultCountry }),
+        { 200: jsonResponse('QR, pending or connected', { $ref: '#/components/schemas/ConnectionStatus' }) }),
+      '/api/get-pairing-code': post('Link with a pairing code instead of the QR',
+        connectionBody({ ...webhookConfig, phone_number: phone, default_country: connectionDefaultCountry }, ['phone_number'])),
+      '/api/stream': {
+        get: {
+          summary: 'Server-Sent Events: QR, status changes and (with messages=1) inbound messages',
+          parameters: [
+            { name: 'connection_id', in: 'query', required: true, schema: { type: 'string' } },
+            { name: 'token', in: 'query', schema: { type: 'string' } },
+            { name: 'messages', in: 'query', schema: { type: 'string', enum: ['0', '1', 'true', 'false'] } }
+          ],
+          responses: { 200: { description: 'text/event-stream' }, ...errorResponses(400, 401, 403) }
+        }
+      },
+      '/api/status': post('Connection status (wakes a hibernated session)', connectionBody(),
+        { 200: jsonResponse('Status', { $ref: '#/components/schemas/ConnectionStatus' }) }),
+      '/api/disconnect': post('Log out and stop the client', connectionBody()),
+      '/api/reconnect': post('Restart the client from the saved session', connectionBody(webhookConfig)),
+      '/api/keep-alive': post('Check that the session is alive', connectionBody()),
+      '/api/session/export': post('Export the saved session as a zip (stops the client)', connectionBody()),
+      '/api/session/import': post('Import an exported session and start it',
+        connectionBody({ data: { type: 'string', description: 'Base64 zip' }, webhook_url: { type: 'string' } }, ['data'])),
+      '/api/check-number': post('Check whether a number has WhatsApp', connectionBody({ number: phone, default_country: defaultCountry }, ['number'])),
+      '/api/check-numbers': post('Check many numbers', connectionBody({ numbers: phoneList, default_country: defaultCountry }, ['numbers'])),
+      '/api/contacts': post('List / search contacts',
+        connectionBody({ query: { type: 'string' }, saved_only: { type: 'boolean' }, ...paging })),
+      '/api/contacts/lookup': post('Profile of a contact',
+        connectionBody({ number: phone, contact_id: { type: 'string' }, default_country: defaultCountry })),
+      '/api/send-message': post('Send a message (or queue it with queued: true)',
+        connectionBody({ ...messageProperties, queued: { type: 'boolean' } }),
+        {
+          200: jsonResponse('Sent', { $ref: '#/components/schemas/SendMessageResult' }),
+          202: jsonResponse('Queued', {
+            type: 'object',
+            properties: { queued: { type: 'boolean' }, job_id: { type: 'string' }, status: { type: 'string' }, recipient }
+          })
+        }),
+      '/api/jobs/{id}': {
+        get: {
+          summary: 'Status of a queued message',
+          parameters: [
+            pathParam('id', 'Job id'),
+            { name: 'connection_id', in: 'query', required: true, schema: { type: 'string' } }
+          ],
+          responses: { 200: jsonResponse('Job'), ...errorResponses(400, 401, 403, 404) }
+        }
+      },
+      '/api/campaigns': post('Create a bulk campaign', connectionBody({
+        name: { type: 'string' },
+        template: { type: 'object', properties: messageProperties },
+        recipients: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            anyOf: [
+              phone,
+              { type: 'object', required: ['to'], properties: { to: phone, variables: { type: 'object' } } }
+            ]
+          }
+        },
+        start_at: isoDate,
+        send_window: sendWindow,
+        daily_cap: { type: 'integer', minimum: 1 },
+        min_delay_ms: { type: 'integer', minimum: 0 },
+        max_delay_ms: { type: 'integer', minimum: 0 },
+        default_country: defaultCountry
+      }, ['template', 'recipients']), { 201: jsonResponse('Created') }),
+      '/api/campaigns/list': post('Campaigns of the connection', connectionBody()),
+      '/api/campaigns/{id}/status': post('Campaign details', connectionBody(), {}, {
+        parameters: [pathParam('id', 'Campaign id')]
+      }),
+      '/api/campaigns/{id}/{action}': post('Pause, resume or cancel a campaign', connectionBody(), {}, {
+        parameters: [pathParam('id', 'Campaign id'), pathParam('action', 'Transition', { enum: campaignActions })]
+      }),
+      '/api/schedules': post('Schedule a message',
+        connectionBody({ ...messageProperties, ...scheduleProperties }, ['send_at']),
+        { 201: jsonResponse('Created') }),
+      '/api/schedules/list': post('Scheduled messages of the connection',
+        connectionBody({ status: { type: 'string', enum: ['scheduled', 'sending', 'sent', 'failed', 'cancelled'] } })),
+      '/api/schedules/{id}/update': post('Edit a scheduled message',
+        connectionBody({ ...messageProperties, ...scheduleProperties }), {}, {
+          parameters: [pathParam('id', 'Schedule id')]
+        }),
+      '/api/schedules/{id}/cancel': post('Cancel a scheduled message', connectionBody(), {}, {
+        parameters: [pathParam('id', 'Schedule id')]
+      }),
+      '/api/dead-letters': post('Failed webhook / callback deliveries',
+        connectionBody({ limit: { type: 'integer', minimum: 1 } }, [], { connectionOptional: true })),
+      '/api/dead-letters/replay': post('Retry failed deliveries',
+        connectionBody({ event_ids: stringList }, [], { connectionOptional: true })),
+      '/api/media/{mediaId}': {
+        get: {
+          summary: 'Download an oversized inbound attachment',
+          parameters: [
+            pathParam('mediaId', 'Media id from the message webhook'),
+            { name: 'connection_id', in: 'query', required: true, schema: { type: 'string' } }
+          ],
+          responses: { 200: { description: 'File contents' }, ...errorResponses(400, 401, 403, 404) }
+        }
+      },
+      '/api/groups': post('Groups of the connected number',
+        connectionBody({ include_participants: { type: 'boolean' } })),
+      '/api/groups/create': post('Create a group',
+        connectionBody({ name: { type: 'string', minLength: 1 }, participants: phoneList }, ['name', 'participants'])),
+      '/api/groups/join': post('Join a group by invite code or link',
+        connectionBody({ invite_code: { type: 'string', minLength: 1 } }, ['invite_code'])),
+      '/api/groups/{groupId}/info': post('Group details', connectionBody(), {}, { parameters: groupId }),
+      '/api/groups/{groupId}/participants': post('Add / remove / promote / demote participants',
+        connectionBody({ action: { type: 'string', enum: participantActions }, participants: phoneList }, ['action', 'participants']),
+        {}, { parameters: groupId }),
+      '/api/groups/{groupId}/invite': post('Invite link of a group', connectionBody(), {}, { parameters: groupId }),
+      '/api/groups/{groupId}/invite/revoke': post('Revoke the invite link', connectionBody(), {}, { parameters: groupId }),
+      '/api/groups/{groupId}/update': post('Update subject / description',
+        connectionBody({ subject: { type: 'string' }, description: { type: 'string' } }), {}, { parameters: groupId }),
+      '/api/chats': post('List chats', connectionBody({ unread_only: { type: 'boolean' }, ...paging })),
+      '/api/chats/{chatId}/messages': post('Messages of a chat',
+        connectionBody({ limit: { type: 'integer', minimum: 1 }, before: { type: 'string' } }), {}, { parameters: chatId }),
+      '/api/chats/{chatId}/action': post('Chat action (read, presence, archive, mute, pin)',
+        connectionBody({
+          action: { type: 'string', enum: chatActions },
+          duration_ms: { type: 'integer', minimum: 0 },
+          mute_until: isoDate
+        }, ['action']), {}, { parameters: chatId }),
+      '/api/messages/delete': post('Delete a message',
+        connectionBody({ message_id: { type: 'string', minLength: 1 }, chat_id: phone, for_everyone: { type: 'boolean' } }, ['message_id'])),
+      '/api/admin/sessions': {
+        get: {
+          summary: 'All sessions, in memory and on disk',
+          security: [{ adminKey: [] }],
+          responses: { 200: jsonResponse('Sessions'), ...errorResponses(401, 500, 503) }
+        }
+      },
+      '/api/admin/sessions/{connectionId}/destroy': {
+        post: {
+          summary: 'Force-destroy a client (keeps the saved login)',
+          security: [{ adminKey: [] }],
+          parameters: [pathParam('connectionId', 'Connection id', { pattern: connectionIdSchema.pattern })],
+          responses: { 200: jsonResponse('Destroyed'), ...errorResponses(401, 404, 503) }
+        }
+      },
+      '/api/admin/sessions/{connectionId}/purge': {
+        post: {
+          summary: 'Destroy a client and delete its saved login',
+          security: [{ adminKey: [] }],
+          parameters: [pathParam('connectionId', 'Connection id', { pattern: connectionIdSchema.pattern })],
+          responses: { 200: jsonResponse('Purged'), ...errorResponses(401, 500, 503) }
+        }
+      },
+      '/api/admin/sessions/restart': {
+        post: {
+          summary: 'Restart sessions from their saved login',
+          security: [{ adminKey: [] }],
+          requestBody: jsonBody({ type: 'object', properties: { connection_ids: { type: 'array', items: connectionIdSchema, minItems: 1 } } }),
+          responses: { 202: jsonResponse('Restarting'), ...errorResponses(400, 401, 404, 500, 503) }
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiSpec };
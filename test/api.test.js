@@ -0,0 +1,390 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { startBridge, connect, waitFor } = require('./helpers');
+
+describe('connection and messaging API', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startBridge();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  describe('POST /api/get-qr', () => {
+    it('returns pending, then the QR, then the connected phone', async () => {
+      const first = await ctx.post('/api/get-qr', { connection_id: 'qr-1' });
+      assert.equal(first.status, 200);
+      assert.deepEqual(first.body, { status: 'pending' });
+
+      const client = ctx.clientFor('qr-1');
+      assert.ok(client.initialized);
+      client.emitQr();
+      const withQr = await waitFor(async () => {
+        const { body } = await ctx.post('/api/get-qr', { connection_id: 'qr-1' });
+        return body.qr ? body : null;
+      }, { message: 'QR' });
+      assert.equal(withQr.status, 'qr_pending');
+      assert.match(withQr.qr, /^data:image\/png;base64,/);
+      await ctx.waitForCallback('qr-1', 'qr_pending');
+
+      client.ready('40712345678');
+      const connected = await ctx.waitForCallback('qr-1', 'connected');
+      assert.equal(connected.body.phone_number, '40712345678');
+
+      const again = await ctx.post('/api/get-qr', { connection_id: 'qr-1' });
+      assert.deepEqual(again.body, { status: 'connected', phone_number: '40712345678' });
+      assert.equal(ctx.clients.filter(c => c.connectionId === 'qr-1').length, 1, 'no second client is started');
+    });
+
+    it('rejects a request without connection_id', async () => {
+      const { status, body } = await ctx.post('/api/get-qr', {});
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+    });
+
+    it('rejects connection ids that are not plain identifiers', async () => {
+      const { status, body } = await ctx.post('/api/get-qr', { connection_id: 'x/../../victim' });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+      assert.ok(!ctx.clientFor('x/../../victim'), 'no client is started');
+    });
+
+    it('does not let the first caller claim a saved session without a token', async () => {
+      ctx.saveSession('legacy-1');
+      const { status, body } = await ctx.post('/api/get-qr', { connection_id: 'legacy-1', token: 'claim' });
+      assert.equal(status, 403);
+      assert.equal(body.code, 'FORBIDDEN');
+      assert.ok(!ctx.clientFor('legacy-1'), 'no client is started');
+    });
+
+    it('rejects a different token once the connection is bound', async () => {
+      const { status, body } = await ctx.post('/api/get-qr', { connection_id: 'qr-1', token: 'other' });
+      assert.equal(status, 403);
+      assert.equal(body.code, 'FORBIDDEN');
+    });
+  });
+
+  describe('POST /api/status', () => {
+    it('reports the live state of the client', async () => {
+      const client = await connect(ctx, 'status-1', { phone: '40722222222' });
+
+      const connected = await ctx.post('/api/status', { connection_id: 'status-1' });
+      assert.equal(connected.body.status, 'connected');
+      assert.equal(connected.body.phone_number, '40722222222');
+
+      // WhatsApp dropped the link without an event: the status call notices it
+      client.state = 'UNPAIRED';
+      const dropped = await ctx.post('/api/status', { connection_id: 'status-1' });
+      assert.equal(dropped.body.status, 'disconnected');
+      const callback = await ctx.waitForCallback('status-1', 'disconnected');
+      assert.equal(callback.body.logged_out, true);
+      assert.ok(client.destroyed);
+    });
+
+    it('keeps the client through transient states', async () => {
+      const client = await connect(ctx, 'status-3');
+
+      client.state = 'OPENING';
+      const opening = await ctx.post('/api/status', { connection_id: 'status-3' });
+      assert.equal(opening.body.status, 'disconnected');
+      assert.equal(opening.body.reason, 'state_OPENING');
+      assert.ok(!client.destroyed);
+
+      client.state = 'CONNECTED';
+      const back = await ctx.post('/api/status', { connection_id: 'status-3' });
+      assert.equal(back.body.status, 'connected');
+      assert.ok(!ctx.callbacks('status-3').some(c => c.status === 'disconnected'));
+    });
+
+    it('follows disconnected events from the client', async () => {
+      const client = await connect(ctx, 'status-2');
+      client.disconnect('LOGOUT');
+      await ctx.waitForCallback('status-2', 'disconnected');
+
+      const { body } = await ctx.post('/api/status', { connection_id: 'status-2' });
+      assert.equal(body.status, 'disconnected');
+    });
+  });
+
+  describe('POST /api/send-message', () => {
+    it('sends through the client and returns the normalized recipient', async () => {
+      const client = await connect(ctx, 'send-1');
+
+      const { status, body } = await ctx.post('/api/send-message', {
+        connection_id: 'send-1',
+        to: '0712 345 678',
+        default_country: 'RO',
+        message: 'Salut!'
+      });
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.recipient.jid, '40712345678@c.us');
+      assert.equal(body.recipient.e164, '+40712345678');
+
+      assert.equal(client.sentMessages.length, 1);
+      const [sent] = client.sentMessages;
+      assert.equal(sent.chatId, '40712345678@c.us');
+      assert.equal(sent.content, 'Salut!');
+      assert.equal(body.messageId, sent.message.id.id);
+    });
+
+    it('rejects invalid numbers before touching the client', async () => {
+      const client = ctx.clientFor('send-1');
+      const before = client.sentMessages.length;
+      const { status, body } = await ctx.post('/api/send-message', { connection_id: 'send-1', to: '12', message: 'x' });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'INVALID_NUMBER');
+      assert.equal(client.sentMessages.length, before);
+    });
+
+    it('reports NOT_CONNECTED while the QR is waiting to be scanned', async () => {
+      await ctx.post('/api/get-qr', { connection_id: 'send-2' });
+      ctx.clientFor('send-2').emitQr();
+      await ctx.waitForCallback('send-2', 'qr_pending');
+      const { status, body } = await ctx.post('/api/send-message', {
+        connection_id: 'send-2',
+        to: '40712345678',
+        message: 'x'
+      });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'NOT_CONNECTED');
+      assert.equal(ctx.clientFor('send-2').sentMessages.length, 0);
+    });
+
+    it('queues media without writing the base64 into queue.json', async () => {
+      const client = ctx.clientFor('send-1');
+      const before = client.sentMessages.length;
+      const spool = path.join('.wwebjs_auth', 'bridge', 'spool');
+      const spooled = () => (fs.existsSync(spool) ? fs.readdirSync(spool) : []);
+      client.sendDelayMs = 300;
+      const media = `data:image/png;base64,${Buffer.from('poza').toString('base64')}`;
+      const { status, body } = await ctx.post('/api/send-message', {
+        connection_id: 'send-1',
+        to: '40712345678',
+        type: 'image',
+        media,
+        queued: true
+      });
+      assert.equal(status, 202);
+
+      // Until it is sent, the media waits on the volume next to queue.json
+      await waitFor(() => client.pendingSends === 1, { message: 'queued send started' });
+      assert.equal(spooled().length, 1);
+      await waitFor(() => client.sentMessages.length === before + 1, { message: 'queued send' });
+      client.sendDelayMs = 0;
+      assert.equal(client.sentMessages[before].content.data, Buffer.from('poza').toString('base64'));
+      const queueFile = path.join('.wwebjs_auth', 'bridge', 'queue.json');
+      const saved = await waitFor(() => {
+        const jobs = fs.existsSync(queueFile) ? JSON.parse(fs.readFileSync(queueFile, 'utf8')) : {};
+        return jobs[body.job_id]?.status === 'sent' && jobs[body.job_id];
+      }, { message: 'queue.json written' });
+      assert.equal(saved.payload.media, undefined);
+      assert.deepEqual(spooled(), [], 'released once sent');
+      assert.ok(saved.payload.media_ref);
+    });
+
+    it('validates the body against the OpenAPI schema', async () => {
+      const { status, body } = await ctx.post('/api/send-message', {
+        connection_id: 'send-1',
+        to: '40712345678',
+        type: 'hologram'
+      });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+      assert.equal(body.details[0].path, '/type');
+    });
+
+    it('checks the token before reporting schema errors', async () => {
+      const { status, body } = await ctx.post('/api/send-message', {
+        connection_id: 'send-1',
+        token: 'other',
+        to: '40712345678',
+        type: 'hologram'
+      });
+      assert.equal(status, 403);
+      assert.equal(body.code, 'FORBIDDEN');
+      assert.equal(body.details, undefined);
+    });
+  });
+
+  describe('campaigns', () => {
+    it('caps daily_cap at CAMPAIGN_DAILY_CAP', async () => {
+      await connect(ctx, 'camp-1');
+      const { status, body } = await ctx.post('/api/campaigns', {
+        connection_id: 'camp-1',
+        template: { message: 'Salut' },
+        recipients: [{ to: '40712000001' }],
+        start_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        daily_cap: 100000
+      });
+      assert.equal(status, 201);
+      assert.equal(body.daily_cap, 200);
+    });
+
+    it('sends the campaigns of a connection one message at a time', async () => {
+      const client = await connect(ctx, 'camp-2');
+      let sending = 0;
+      let overlapped = false;
+      const sendMessage = client.sendMessage.bind(client);
+      client.sendMessage = async (...args) => {
+        sending += 1;
+        overlapped = overlapped || sending > 1;
+        try {
+          // Longer than the random delay before each send, so parallel runners would overlap
+          await new Promise(resolve => setTimeout(resolve, 1000));
+          return await sendMessage(...args);
+        } finally {
+          sending -= 1;
+        }
+      };
+
+      for (const to of ['40712000002', '40712000003']) {
+        const { status } = await ctx.post('/api/campaigns', {
+          connection_id: 'camp-2',
+          template: { message: 'Salut' },
+          recipients: [{ to }],
+          min_delay_ms: 1000,
+          max_delay_ms: 1000
+        });
+        assert.equal(status, 201);
+      }
+      await waitFor(() => client.sentMessages.length === 2, { timeoutMs: 10000, message: 'campaign sends' });
+      assert.equal(overlapped, false);
+    });
+  });
+
+  describe('GET routes', () => {
+    // fetch() refuses a body on GET, so the request is built by hand
+    const getWithBody = (url, body) => new Promise((resolve, reject) => {
+      const payload = JSON.stringify(body);
+      const req = http.request(url, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+      }, res => {
+        res.destroy();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+
+    it('authorizes the connection of the query string, not one named in the body', async () => {
+      await ctx.post('/api/get-qr', { connection_id: 'victim-1', token: 'victim-token' });
+      await ctx.post('/api/get-qr', { connection_id: 'mine-1' });
+      const body = { connection_id: 'mine-1', token: 'test-token' };
+
+      assert.equal(await getWithBody(`${ctx.baseUrl}/api/stream?connection_id=victim-1`, body), 401);
+      assert.equal(await getWithBody(`${ctx.baseUrl}/api/jobs/x?connection_id=victim-1`, body), 401);
+      assert.equal(await getWithBody(`${ctx.baseUrl}/api/stream?connection_id=victim-1&token=test-token`, body), 403);
+    });
+  });
+
+  describe('GET /metrics', () => {
+    it('is not served without an admin key unless METRICS_PUBLIC is set', async () => {
+      const response = await fetch(`${ctx.baseUrl}/metrics`);
+      assert.equal(response.status, 503);
+      assert.equal((await response.json()).code, 'METRICS_DISABLED');
+    });
+  });
+
+  describe('session export / import', () => {
+    it('moves a session to a connection that has no token yet', async () => {
+      await connect(ctx, 'move-1');
+      const storage = path.join('.wwebjs_auth', 'session-move-1', 'Default', 'Local Storage');
+      fs.mkdirSync(storage, { recursive: true });
+      fs.writeFileSync(path.join(storage, 'leveldb.log'), 'login');
+
+      const exported = await ctx.post('/api/session/export', { connection_id: 'move-1' });
+      assert.equal(exported.status, 200);
+
+      const imported = await ctx.post('/api/session/import', { connection_id: 'move-2', token: 'new-host', data: exported.body.data });
+      assert.equal(imported.status, 200);
+      assert.equal(imported.body.status, 'connecting');
+      assert.ok(ctx.clientFor('move-2'), 'the imported session is started');
+      const restored = path.join('.wwebjs_auth', 'session-move-2', 'Default', 'Local Storage', 'leveldb.log');
+      assert.equal(fs.readFileSync(restored, 'utf8'), 'login');
+
+      // The import bound its token
+      const status = await ctx.post('/api/status', { connection_id: 'move-2', token: 'new-host' });
+      assert.equal(status.status, 200);
+      const other = await ctx.post('/api/status', { connection_id: 'move-2' });
+      assert.equal(other.status, 403);
+    });
+  });
+
+  describe('webhooks', () => {
+    it('forwards incoming messages, signed with the connection secret', async () => {
+      const client = await connect(ctx, 'hook-1', {
+        webhook_url: `${ctx.receiver.url}/hook`,
+        webhook_secret: 'shh'
+      });
+
+      client.receiveMessage({ from: '40733333333@c.us', body: 'Buna' });
+      const request = await ctx.receiver.waitFor(
+        r => r.path === '/hook' && r.body.event === 'message',
+        'message webhook'
+      );
+      assert.equal(request.body.connection_id, 'hook-1');
+      assert.equal(request.body.data.from, '40733333333@c.us');
+      assert.equal(request.body.data.body, 'Buna');
+
+      const expected = crypto.createHmac('sha256', 'shh')
+        .update(`${request.headers['x-bridge-timestamp']}.${request.rawBody}`)
+        .digest('hex');
+      assert.equal(request.headers['x-bridge-signature'], `sha256=${expected}`);
+    });
+
+    it('keeps the attachment of a dead letter until it is replayed', async () => {
+      // A receiver that is down until `up` is set
+      let up = false;
+      const delivered = [];
+      const receiver = http.createServer((req, res) => {
+        let rawBody = '';
+        req.on('data', chunk => { rawBody += chunk; });
+        req.on('end', () => {
+          if (up) delivered.push(JSON.parse(rawBody));
+          res.statusCode = up ? 200 : 503;
+          res.end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      const client = await connect(ctx, 'hook-2', { webhook_url: `http://127.0.0.1:${receiver.address().port}/hook` });
+      const spool = path.join('.wwebjs_auth', 'bridge', 'spool');
+      const spooled = () => (fs.existsSync(spool) ? fs.readdirSync(spool) : []);
+      const photo = Buffer.from('poza').toString('base64');
+
+      try {
+        client.receiveMessage({
+          from: '40733333334@c.us',
+          type: 'image',
+          hasMedia: true,
+          downloadMedia: async () => ({ mimetype: 'image/png', data: photo, filename: 'poza.png' })
+        });
+        const entry = await waitFor(async () => {
+          const { body } = await ctx.post('/api/dead-letters', { connection_id: 'hook-2' });
+          return body.dead_letters.find(d => d.event === 'message');
+        }, { message: 'dead letter' });
+        assert.equal(entry.payload.data.media.data, undefined);
+        assert.equal(entry.payload.data.media.media_spooled, true);
+        assert.equal(spooled().length, 1);
+
+        up = true;
+        const { body } = await ctx.post('/api/dead-letters/replay', { connection_id: 'hook-2', event_ids: [entry.event_id] });
+        assert.equal(body.delivered, 1);
+        const replayed = delivered.find(d => d.event === 'message');
+        assert.equal(replayed.data.media.data, photo);
+        assert.equal(replayed.data.media.filename, 'poza.png');
+        assert.deepEqual(spooled(), [], 'released once delivered');
+      } finally {
+        await new Promise(resolve => receiver.close(resolve));
+      }
+    });
+  });
+});
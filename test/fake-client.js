@@ -0,0 +1,167 @@
+// In-memory stand-in for the whatsapp-web.js Client, plugged in with setClientFactory().
+// Nothing happens on its own: the tests drive the lifecycle with emitQr() / ready() / disconnect() ...,
+// which emit the same events as the real client, and inspect `sentMessages` afterwards.
+const { EventEmitter } = require('events');
+
+class FakeClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.info = null;
+    // What getState() resolves; set `stateError` to make it reject instead
+    this.state = null;
+    this.stateError = null;
+    // Simulated getState() latency, and how many calls are waiting on it
+    this.stateDelayMs = 0;
+    this.pendingStateChecks = 0;
+    this.initialized = false;
+    this.destroyed = false;
+    this.loggedOut = false;
+    // Every sendMessage call: { chatId, content, options, message }
+    this.sentMessages = [];
+    // Numbers (digits only) that getNumberId reports as not on WhatsApp
+    this.unregistered = new Set();
+    // Simulated upload time of sendMessage, and how many sends are waiting on it
+    this.sendDelayMs = 0;
+    this.pendingSends = 0;
+    this.nextMessageId = 1;
+  }
+
+  async initialize() {
+    this.initialized = true;
+  }
+
+  // --- Events, emitted on command ---
+
+  emitQr(qr = 'fake-qr-payload') {
+    this.emit('qr', qr);
+  }
+
+  authenticate() {
+    this.emit('authenticated');
+  }
+
+  ready(phone = '40700000000') {
+    this.info = { wid: { user: phone, server: 'c.us', _serialized: `${phone}@c.us` }, pushname: 'Fake' };
+    this.state = 'CONNECTED';
+    this.emit('authenticated');
+    this.emit('ready');
+  }
+
+  receiveMessage(fields = {}) {
+    const id = `IN${this.nextMessageId++}`;
+    const from = fields.from || '40711111111@c.us';
+    const message = {
+      id: { id, _serialized: `false_${from}_${id}`, remote: from, fromMe: false },
+      from,
+      to: this.info?.wid?._serialized || null,
+      body: '',
+      timestamp: Math.floor(Date.now() / 1000),
+      type: 'chat',
+      hasMedia: false,
+      fromMe: false,
+      ...fields
+    };
+    this.emit('message', message);
+    return message;
+  }
+
+  changeState(state) {
+    this.state = state;
+    this.emit('change_state', state);
+  }
+
+  disconnect(reason = 'NAVIGATION') {
+    this.state = null;
+    this.emit('disconnected', reason);
+  }
+
+  // --- Client API used by the bridge ---
+
+  async getState() {
+    if (this.stateDelayMs) {
+      this.pendingStateChecks += 1;
+      await new Promise(resolve => setTimeout(resolve, this.stateDelayMs));
+      this.pendingStateChecks -= 1;
+    }
+    if (this.destroyed) throw new Error('Session closed. Most likely the page has been closed.');
+    if (this.stateError) throw this.stateError;
+    return this.state;
+  }
+
+  async sendMessage(chatId, content, options = {}) {
+    if (this.sendDelayMs) {
+      this.pendingSends += 1;
+      await new Promise(resolve => setTimeout(resolve, this.sendDelayMs));
+      this.pendingSends -= 1;
+    }
+    // Like the real client, a send can't complete once the browser is gone
+    if (this.destroyed) throw new Error('Protocol error (Runtime.callFunctionOn): Session closed.');
+    const id = `FAKE${this.nextMessageId++}`;
+    const message = {
+      id: { id, _serialized: `true_${chatId}_${id}`, remote: chatId, fromMe: true },
+      from: this.info?.wid?._serialized || null,
+      to: chatId,
+      body: typeof content === 'string' ? content : '',
+      timestamp: Math.floor(Date.now() / 1000),
+      type: 'chat',
+      hasMedia: false,
+      fromMe: true
+    };
+    this.sentMessages.push({ chatId, content, options, message });
+    return message;
+  }
+
+  async getMessageById(serializedId) {
+    const sent = this.sentMessages.find(entry => entry.message.id._serialized === serializedId);
+    return sent ? sent.message : null;
+  }
+
+  async getNumberId(id) {
+    const user = String(id).split('@')[0];
+    if (this.unregistered.has(user)) return null;
+    return { user, server: 'c.us', _serialized: `${user}@c.us` };
+  }
+
+  async getContactById(id) {
+    const user = String(id).split('@')[0];
+    return {
+      id: { user, server: 'c.us', _serialized: `${user}@c.us` },
+      number: user,
+      isMyContact: false,
+      async getAbout() { return null; },
+      async getProfilePicUrl() { return null; }
+    };
+  }
+
+  async getChatById(id) {
+    return {
+      id: { _serialized: id },
+      isGroup: String(id).endsWith('@g.us'),
+      async sendStateTyping() {},
+      async sendStateRecording() {},
+      async clearState() {},
+      async fetchMessages() { return []; }
+    };
+  }
+
+  async getChats() {
+    return [];
+  }
+
+  async requestPairingCode() {
+    return 'FAKE1234';
+  }
+
+  async logout() {
+    this.loggedOut = true;
+    this.state = null;
+  }
+
+  async destroy() {
+    this.destroyed = true;
+    this.state = null;
+  }
+}
+
+module.exports = { FakeClient };
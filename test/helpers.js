@@ -0,0 +1,134 @@
+// Test setup shared by the *.test.js files: a local webhook receiver and a bridge whose WhatsApp
+// clients are FakeClients. node --test runs every file in its own process, so each file gets a
+// fresh bridge (index.js reads its env at require time) with its own data directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { FakeClient } = require('./fake-client');
+
+const TOKEN = 'test-token';
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+// Poll until `check` returns something truthy. Rejects after `timeoutMs`.
+async function waitFor(check, { timeoutMs = 5000, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// Records every POST it receives: { path, headers, rawBody, body }
+async function startWebhookReceiver() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', chunk => { rawBody += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, rawBody, body: rawBody ? JSON.parse(rawBody) : null });
+      res.end('ok');
+    });
+  });
+  const url = await listen(server);
+  return {
+    url,
+    requests,
+    find: (predicate) => requests.find(predicate),
+    waitFor: (predicate, message) => waitFor(() => requests.find(predicate), { message }),
+    close: () => close(server)
+  };
+}
+
+// Start the bridge with `env` in a temporary working directory (.wwebjs_auth lives there).
+// Must be called once per test file, before anything else requires index.js.
+// `ctx.restart()` simulates a redeploy: graceful shutdown, then a fresh index.js on the same data.
+async function startBridge(env = {}) {
+  const receiver = await startWebhookReceiver();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-bridge-test-'));
+  process.chdir(dataDir);
+  Object.assign(process.env, {
+    LOG_LEVEL: 'error',
+    CALLBACK_URL: `${receiver.url}/callback`,
+    WEBHOOK_MAX_ATTEMPTS: '1',
+    ...env
+  });
+
+  const clients = [];
+  const load = async () => {
+    delete require.cache[require.resolve('../index')];
+    // eslint-disable-next-line global-require
+    const bridge = require('../index');
+    bridge.setClientFactory((options, connectionId) => {
+      const client = new FakeClient(options);
+      client.connectionId = connectionId;
+      clients.push(client);
+      return client;
+    });
+    const server = http.createServer(bridge.app);
+    return { bridge, server, baseUrl: await listen(server) };
+  };
+
+  const ctx = await load();
+  const post = async (route, body = {}) => {
+    const response = await fetch(`${ctx.baseUrl}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: TOKEN, ...body })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return Object.assign(ctx, {
+    receiver,
+    clients,
+    post,
+    // Latest client created for a connection
+    clientFor: (connectionId) => clients.filter(c => c.connectionId === connectionId).pop(),
+    // Status callbacks (CALLBACK_URL) for a connection, in arrival order
+    callbacks: (connectionId) => receiver.requests
+      .filter(r => r.path === '/callback' && r.body.connection_id === connectionId)
+      .map(r => r.body),
+    waitForCallback: (connectionId, status, extra = () => true) => receiver.waitFor(
+      r => r.path === '/callback' && r.body.connection_id === connectionId && r.body.status === status && extra(r.body),
+      `${status} callback for ${connectionId}`
+    ),
+    // Make a connection look like it has a saved LocalAuth login on disk
+    saveSession: (connectionId) => fs.mkdirSync(path.join('.wwebjs_auth', `session-${connectionId}`), { recursive: true }),
+    async restart() {
+      await ctx.bridge.shutdown('SIGTERM');
+      await close(ctx.server);
+      Object.assign(ctx, await load());
+    },
+    async stop() {
+      ctx.bridge.stopBackgroundTasks();
+      await close(ctx.server);
+      await receiver.close();
+      process.chdir(os.tmpdir());
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+}
+
+// get-qr, then bring the fake client to `ready`. Resolves the client.
+async function connect(ctx, connectionId, { phone = '40700000000', ...body } = {}) {
+  await ctx.post('/api/get-qr', { connection_id: connectionId, ...body });
+  const client = await waitFor(() => ctx.clientFor(connectionId), { message: `client for ${connectionId}` });
+  client.ready(phone);
+  await ctx.waitForCallback(connectionId, 'connected');
+  return client;
+}
+
+module.exports = { TOKEN, waitFor, startBridge, connect };
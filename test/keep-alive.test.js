@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBridge, connect, waitFor } = require('./helpers');
+
+describe('internal keep-alive timer', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startBridge({ KEEP_ALIVE_INTERVAL_MS: '100', RECONNECT_BASE_MS: '50' });
+    ctx.bridge.startBackgroundTasks();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it('leaves healthy sessions alone', async () => {
+    const client = await connect(ctx, 'alive-1');
+    await new Promise(resolve => setTimeout(resolve, 350));
+    assert.equal(client.destroyed, false);
+    assert.ok(!ctx.callbacks('alive-1').some(c => c.status === 'disconnected'));
+  });
+
+  it('reconnects a session whose state check fails', async () => {
+    const client = await connect(ctx, 'alive-2', { phone: '40744444444' });
+    ctx.saveSession('alive-2');
+
+    client.stateError = new Error('Protocol error (Runtime.callFunctionOn): Target closed.');
+    const lost = await ctx.waitForCallback('alive-2', 'disconnected');
+    assert.equal(lost.body.reason, 'keepalive_failed');
+    assert.equal(lost.body.will_reconnect, true);
+    assert.ok(client.destroyed);
+
+    await ctx.waitForCallback('alive-2', 'reconnecting');
+    const replacement = await waitFor(() => {
+      const latest = ctx.clientFor('alive-2');
+      return latest !== client ? latest : null;
+    }, { message: 'replacement client' });
+    replacement.ready('40744444444');
+
+    const back = await ctx.waitForCallback('alive-2', 'connected', body => body.reconnect_attempt === 1);
+    assert.equal(back.body.phone_number, '40744444444');
+    const { body } = await ctx.post('/api/status', { connection_id: 'alive-2' });
+    assert.equal(body.status, 'connected');
+  });
+
+  it('does not reconnect a session that was logged out', async () => {
+    const client = await connect(ctx, 'alive-3');
+    ctx.saveSession('alive-3');
+
+    client.state = 'UNPAIRED';
+    const lost = await ctx.waitForCallback('alive-3', 'disconnected');
+    assert.equal(lost.body.logged_out, true);
+    assert.equal(lost.body.will_reconnect, false);
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(ctx.clientFor('alive-3'), client, 'no new client is started');
+    assert.ok(!ctx.callbacks('alive-3').some(c => c.status === 'reconnecting'));
+  });
+});
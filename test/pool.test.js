@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBridge, connect, waitFor } = require('./helpers');
+
+describe('live client limit', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startBridge({
+      MAX_LIVE_CLIENTS: '1',
+      KEEP_ALIVE_INTERVAL_MS: '100',
+      RECONNECT_BASE_MS: '200',
+      RECONNECT_MAX_ATTEMPTS: '2'
+    });
+    ctx.bridge.startBackgroundTasks();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it('refuses a second client while the pool is full', async () => {
+    await connect(ctx, 'pool-1');
+    const { status, body } = await ctx.post('/api/get-qr', { connection_id: 'pool-2' });
+    assert.equal(status, 503);
+    assert.equal(body.code, 'CAPACITY');
+    assert.ok(!ctx.clientFor('pool-2'));
+  });
+
+  it('waits for a free slot to reconnect without using up attempts', async () => {
+    const client = ctx.clientFor('pool-1');
+    ctx.saveSession('pool-1');
+    client.stateError = new Error('Protocol error (Runtime.callFunctionOn): Target closed.');
+    await ctx.waitForCallback('pool-1', 'disconnected');
+
+    // Another connection takes the slot the dropped session freed
+    const taken = await ctx.post('/api/get-qr', { connection_id: 'pool-2' });
+    assert.equal(taken.status, 200);
+    await new Promise(resolve => setTimeout(resolve, 1200));
+    assert.ok(!ctx.callbacks('pool-1').some(c => c.status === 'reconnect_failed'));
+    assert.ok(!ctx.callbacks('pool-1').some(c => c.status === 'reconnecting'));
+
+    await ctx.post('/api/disconnect', { connection_id: 'pool-2' });
+    const reconnecting = await ctx.waitForCallback('pool-1', 'reconnecting');
+    assert.equal(reconnecting.body.attempt, 1);
+    const replacement = await waitFor(() => {
+      const latest = ctx.clientFor('pool-1');
+      return latest !== client ? latest : null;
+    }, { message: 'replacement client' });
+    replacement.ready();
+    await ctx.waitForCallback('pool-1', 'connected', body => body.reconnect_attempt === 1);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBridge, connect, waitFor } = require('./helpers');
+
+describe('graceful shutdown and restart', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startBridge();
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it('restores sessions with their webhook after a restart, except intentional disconnects', async () => {
+    const first = await connect(ctx, 'keep-1', {
+      phone: '40766666666',
+      webhook_url: `${ctx.receiver.url}/hook-keep`,
+      webhook_events: ['message']
+    });
+    ctx.saveSession('keep-1');
+    await connect(ctx, 'gone-1');
+    ctx.saveSession('gone-1');
+    const disconnected = await ctx.post('/api/disconnect', { connection_id: 'gone-1' });
+    assert.equal(disconnected.body.status, 'disconnected');
+
+    await ctx.restart();
+    assert.ok(first.destroyed, 'the shutdown closed the running client');
+
+    const before = ctx.clients.length;
+    await ctx.bridge.restoreSessions();
+    const restored = ctx.clients.slice(before);
+    assert.deepEqual(restored.map(c => c.connectionId), ['keep-1']);
+
+    // The phone is known before the client is ready again
+    const pending = await ctx.post('/api/status', { connection_id: 'keep-1' });
+    assert.equal(pending.body.phone_number, '40766666666');
+
+    restored[0].ready('40766666666');
+    await waitFor(() => ctx.callbacks('keep-1').filter(c => c.status === 'connected').length === 2, {
+      message: 'connected callback after the restart'
+    });
+    restored[0].receiveMessage({ from: '40777777777@c.us', body: 'dupa restart' });
+    const hook = await ctx.receiver.waitFor(r => r.path === '/hook-keep' && r.body.event === 'message', 'message webhook');
+    assert.equal(hook.body.data.body, 'dupa restart');
+
+    const gone = await ctx.post('/api/status', { connection_id: 'gone-1' });
+    assert.equal(gone.body.status, 'disconnected');
+  });
+
+  it('lets in-flight sends finish before closing the clients', async () => {
+    const client = ctx.clientFor('keep-1');
+    client.sendDelayMs = 500;
+
+    const sending = ctx.post('/api/send-message', { connection_id: 'keep-1', to: '40712345678', message: 'ultimul' });
+    await waitFor(() => client.pendingSends === 1, { message: 'send in progress' });
+    await ctx.bridge.shutdown('SIGTERM');
+
+    const { status, body } = await sending;
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(client.sentMessages.length, 1);
+    assert.ok(client.destroyed);
+  });
+
+  it('refuses new requests while shutting down', async () => {
+    const { status, body } = await ctx.post('/api/status', { connection_id: 'keep-1' });
+    assert.equal(status, 503);
+    assert.equal(body.code, 'SHUTTING_DOWN');
+  });
+
+  it('waits for a send that is still verifying the connection state', async () => {
+    await ctx.restart();
+    const client = await connect(ctx, 'late-1');
+    client.stateDelayMs = 300;
+
+    const sending = ctx.post('/api/send-message', { connection_id: 'late-1', to: '40712345678', message: 'la limita' });
+    await waitFor(() => client.pendingStateChecks === 1, { message: 'state check in progress' });
+    await ctx.bridge.shutdown('SIGTERM');
+
+    const { status, body } = await sending;
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(client.sentMessages.length, 1);
+    assert.ok(client.destroyed);
+  });
+});